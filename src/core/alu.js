@@ -46,6 +46,37 @@ export function alu(a, b, alu_op) {
         case 0xd: // BLTU unsigned
             res = (a >>> 0) < (b >>> 0) ? 1 : 0;
             break;
+        // ---------- RV32M ----------
+        case 0x10: // MUL (32 bits bajos)
+            res = Math.imul(a, b);
+            break;
+        case 0x11: // MULH (signed x signed, 32 bits altos)
+            res = Number(BigInt.asIntN(32, (BigInt(a) * BigInt(b)) >> 32n));
+            break;
+        case 0x12: // MULHSU (signed x unsigned, 32 bits altos)
+            res = Number(BigInt.asIntN(32, (BigInt(a) * BigInt(b >>> 0)) >> 32n));
+            break;
+        case 0x13: // MULHU (unsigned x unsigned, 32 bits altos)
+            res = Number(BigInt.asIntN(32, (BigInt(a >>> 0) * BigInt(b >>> 0)) >> 32n));
+            break;
+        case 0x14: // DIV
+            if (b === 0) res = -1; // División entre cero: todos los bits en 1
+            else if (a === -0x80000000 && b === -1) res = a; // Overflow: dividendo
+            else res = (a / b) | 0; // Truncamiento hacia cero
+            break;
+        case 0x15: // DIVU
+            if (b === 0) res = -1;
+            else res = Math.floor((a >>> 0) / (b >>> 0)) | 0;
+            break;
+        case 0x16: // REM
+            if (b === 0) res = a; // División entre cero: dividendo
+            else if (a === -0x80000000 && b === -1) res = 0; // Overflow
+            else res = a % b; // Signo del dividendo
+            break;
+        case 0x17: // REMU
+            if (b === 0) res = a;
+            else res = ((a >>> 0) % (b >>> 0)) | 0;
+            break;
         default:
             res = 0;
     }
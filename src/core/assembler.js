@@ -0,0 +1,683 @@
+// Ensamblador RV32IM: una sola gramática para la interfaz y para
+// RISCVProcessor.loadProgram (etiquetas, directivas, pseudo-instrucciones
+// y nombres ABI de registros).
+import { signExtend } from './utils.js';
+
+// Nombres ABI de los registros (índice = número de registro)
+export const ABI_NAMES = [
+    'zero', 'ra', 'sp', 'gp', 'tp', 't0', 't1', 't2',
+    's0', 's1', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5',
+    'a6', 'a7', 's2', 's3', 's4', 's5', 's6', 's7',
+    's8', 's9', 's10', 's11', 't3', 't4', 't5', 't6'
+];
+
+// fp (frame pointer) es otro nombre de s0
+const REG_ALIASES = { fp: 8 };
+
+// Número de registro para xN o su nombre ABI; null si el token no es un registro
+export function regNumber(token) {
+    const t = String(token).toLowerCase();
+    const m = /^x([0-9]|[12][0-9]|3[01])$/.exec(t);
+    if (m) return parseInt(m[1], 10);
+    const i = ABI_NAMES.indexOf(t);
+    if (i >= 0) return i;
+    return Object.hasOwn(REG_ALIASES, t) ? REG_ALIASES[t] : null;
+}
+
+function reg(x) {
+    return regNumber(x);
+}
+
+// Codificadores
+function R(f7, f3, op, rd, rs1, rs2) {
+    return (f7 << 25) | (rs2 << 20) | (rs1 << 15) |
+        (f3 << 12) | (rd << 7) | op;
+}
+
+function I(f3, op, rd, rs1, imm) {
+    imm &= 0xFFF;
+    return (imm << 20) | (rs1 << 15) |
+        (f3 << 12) | (rd << 7) | op;
+}
+
+function S(f3, op, rs1, rs2, imm) {
+    const imm11_5 = (imm >> 5) & 0x7F;
+    const imm4_0 = imm & 0x1F;
+    return (imm11_5 << 25) | (rs2 << 20) | (rs1 << 15) |
+        (f3 << 12) | (imm4_0 << 7) | op;
+}
+
+function B(f3, op, rs1, rs2, imm) {
+    const imm12 = (imm >> 12) & 1;
+    const imm10_5 = (imm >> 5) & 0x3F;
+    const imm4_1 = (imm >> 1) & 0xF;
+    const imm11 = (imm >> 11) & 1;
+
+    return (imm12 << 31) | (imm10_5 << 25) | (rs2 << 20) |
+        (rs1 << 15) | (f3 << 12) |
+        (imm11 << 7) | (imm4_1 << 8) | op;
+}
+
+function U(op, rd, imm) {
+    return ((imm & 0xFFFFF) << 12) | (rd << 7) | op;
+}
+
+function J(op, rd, imm) {
+    const imm20 = (imm >> 20) & 1;
+    const imm10_1 = (imm >> 1) & 0x3FF;
+    const imm11 = (imm >> 11) & 1;
+    const imm19_12 = (imm >> 12) & 0xFF;
+
+    return (imm20 << 31) | (imm10_1 << 21) | (imm11 << 20) |
+        (imm19_12 << 12) | (rd << 7) | op;
+}
+
+function isRegister(t) {
+    return regNumber(t) !== null;
+}
+
+function isImmediate(t) {
+    return /^-?\d+$/.test(t) || /^-?0x[0-9a-fA-F]+$/.test(t);
+}
+
+// Error de ensamblado asociado a un token de la línea (para ubicar la columna)
+function asmError(message, token) {
+    const err = new Error(message);
+    err.token = token;
+    return err;
+}
+
+// Operandos de más: error en el primero que sobra (p[0] es el mnemónico)
+function expectOperandCount(op, p, max) {
+    if (p.length - 1 > max) {
+        throw asmError(`Operando inesperado en ${op}: '${p[max + 1]}'`, p[max + 1]);
+    }
+}
+
+function expectRegisters(op, arr) {
+    for (let r of arr) {
+        if (!isRegister(r)) {
+            throw asmError(`Formato inválido en ${op}: se esperaba registro, se recibió '${r ?? ""}'`, r);
+        }
+    }
+}
+
+function expectImmediate(op, imm) {
+    if (!isImmediate(imm)) {
+        throw asmError(`Formato inválido en ${op}: se esperaba inmediato, se recibió '${imm ?? ""}'`, imm);
+    }
+}
+
+// Inmediato dentro de [min, max]; nunca se trunca en silencio
+function immediate(op, token, min, max) {
+    expectImmediate(op, token);
+    const value = parseInt(token);
+    if (value < min || value > max) {
+        throw asmError(`Inmediato fuera de rango en ${op}: ${token} (debe estar entre ${min} y ${max})`, token);
+    }
+    return value;
+}
+
+// Offset de salto: etiqueta o número; comprueba alineación y alcance (bits con signo)
+function jumpOffset(op, token, labels, pc, bits) {
+    let offset;
+    if (token in labels) offset = labels[token] - pc;
+    else if (isImmediate(token)) offset = parseInt(token);
+    else throw asmError(`Etiqueta no definida: ${token ?? ""}`, token);
+
+    if (offset % 2 !== 0) throw asmError(`Destino de ${op} desalineado: offset ${offset} no es par`, token);
+    const reach = 2 ** (bits - 1);
+    if (offset < -reach || offset >= reach) {
+        throw asmError(`Destino de ${op} fuera de alcance: offset ${offset} (máximo ±${reach} bytes)`, token);
+    }
+    return offset;
+}
+
+// Posición del token como palabra completa dentro de la línea, o -1
+function findToken(raw, token) {
+    const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return stripComment(raw).search(new RegExp(`(?<![\\w.$])${escaped}(?![\\w.$])`));
+}
+
+// Mnemónicos base que reconoce el segundo paso
+const INSTRUCTIONS = new Set([
+    "add", "sub", "and", "or", "xor", "sll", "srl", "sra", "slt", "sltu",
+    "mul", "mulh", "mulhsu", "mulhu", "div", "divu", "rem", "remu",
+    "addi", "andi", "ori", "xori", "slti", "sltiu", "slli", "srli", "srai",
+    "lb", "lh", "lw", "lbu", "lhu", "sb", "sh", "sw",
+    "beq", "bne", "blt", "bge", "bltu", "bgeu",
+    "lui", "auipc", "jal", "jalr", "ecall", "ebreak",
+]);
+
+// Quita comentarios (# o //) respetando cadenas y caracteres entre comillas
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch === "\\") i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === "#" || (ch === "/" && line[i + 1] === "/")) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+const ESCAPES = { n: 10, t: 9, r: 13, 0: 0, "\\": 92, '"': 34, "'": 39 };
+
+function parseString(op, token) {
+    const m = token.match(/^"((?:[^"\\]|\\.)*)"$/);
+    if (!m) throw asmError(`Formato inválido en ${op}: se esperaba cadena, se recibió '${token ?? ""}'`, token);
+    const bytes = [];
+    const body = m[1];
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] === "\\") {
+            const esc = body[++i];
+            if (!(esc in ESCAPES)) throw asmError(`Secuencia de escape inválida en ${op}: \\${esc}`, token);
+            bytes.push(ESCAPES[esc]);
+        } else {
+            bytes.push(body.charCodeAt(i) & 0xFF);
+        }
+    }
+    return bytes;
+}
+
+// Separa operandos por comas sin romper cadenas
+function splitOperands(rest) {
+    return (rest.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^,\s]+/g) || []);
+}
+
+// Valor numérico de un operando de datos: entero, carácter ('a') o etiqueta
+function dataValue(op, token, labels) {
+    if (isImmediate(token)) return parseInt(token);
+    const ch = token.match(/^'(\\?.)'$/);
+    if (ch) return ch[1].length === 2 ? ESCAPES[ch[1][1]] : ch[1].charCodeAt(0);
+    if (labels && token in labels) return labels[token];
+    throw asmError(`Valor inválido en ${op}: '${token ?? ""}'`, token);
+}
+
+// Sustituye %hi/%lo(etiqueta) (absolutos) y %pcrel_hi/%pcrel_lo(etiqueta)
+// (relativos al AUIPC ubicado en anchor) por su valor numérico
+function resolveRelocations(line, labels, anchor = 0) {
+    return line.replace(/%(hi|lo|pcrel_hi|pcrel_lo)\(\s*([A-Za-z_.$][\w.$]*)\s*\)/g, (_, kind, name) => {
+        if (!(name in labels)) throw asmError(`Etiqueta no definida: ${name}`, name);
+        const value = kind.startsWith("pcrel") ? (labels[name] - anchor) | 0 : labels[name] >>> 0;
+        if (kind.endsWith("hi")) return String(((value + 0x800) >>> 12) & 0xFFFFF);
+        return String(signExtend(value & 0xFFF, 12));
+    });
+}
+
+// Operandos de cada pseudo-instrucción, en el orden en que se escriben
+const PSEUDO_OPERANDS = {
+    nop: [], ret: [],
+    mv: ["rd", "rs"], not: ["rd", "rs"], neg: ["rd", "rs"], seqz: ["rd", "rs"], snez: ["rd", "rs"],
+    j: ["etiqueta"], jr: ["rs"], call: ["etiqueta"], tail: ["etiqueta"],
+    beqz: ["rs", "etiqueta"], bnez: ["rs", "etiqueta"],
+    bgt: ["rs", "rt", "etiqueta"], ble: ["rs", "rt", "etiqueta"],
+    bgtu: ["rs", "rt", "etiqueta"], bleu: ["rs", "rt", "etiqueta"],
+    li: ["rd", "inmediato"], la: ["rd", "etiqueta"],
+};
+
+// Expande una pseudo-instrucción a instrucciones base.
+// Devuelve null si op no es pseudo-instrucción. El tamaño de cada expansión
+// se conoce en el primer paso para que las etiquetas queden en su lugar.
+function expandPseudo(line) {
+    const p = line.replace(/,/g, " ").split(/\s+/).filter(Boolean);
+    const op = p[0].toLowerCase();
+    if (!Object.hasOwn(PSEUDO_OPERANDS, op)) return null;
+
+    const operands = PSEUDO_OPERANDS[op];
+    if (p.length - 1 !== operands.length) {
+        const usage = operands.length ? `${op} ${operands.join(", ")}` : op;
+        const received = p.length - 1;
+        // Se señala el primer operando sobrante o, si faltan, el mnemónico
+        throw asmError(
+            `${op} espera ${operands.length} operando(s) (${usage}), se recibieron ${received}`,
+            p[operands.length + 1] ?? p[0]
+        );
+    }
+
+    switch (op) {
+        case "nop": return ["addi x0, x0, 0"];
+        case "mv": return [`addi ${p[1]}, ${p[2]}, 0`];
+        case "not": return [`xori ${p[1]}, ${p[2]}, -1`];
+        case "neg": return [`sub ${p[1]}, x0, ${p[2]}`];
+        case "seqz": return [`sltiu ${p[1]}, ${p[2]}, 1`];
+        case "snez": return [`sltu ${p[1]}, x0, ${p[2]}`];
+        case "j": return [`jal x0, ${p[1]}`];
+        case "jr": return [`jalr x0, ${p[1]}, 0`];
+        case "ret": return ["jalr x0, x1, 0"];
+        case "beqz": return [`beq ${p[1]}, x0, ${p[2]}`];
+        case "bnez": return [`bne ${p[1]}, x0, ${p[2]}`];
+        case "bgt": return [`blt ${p[2]}, ${p[1]}, ${p[3]}`];
+        case "ble": return [`bge ${p[2]}, ${p[1]}, ${p[3]}`];
+        case "bgtu": return [`bltu ${p[2]}, ${p[1]}, ${p[3]}`];
+        case "bleu": return [`bgeu ${p[2]}, ${p[1]}, ${p[3]}`];
+
+        case "li": {
+            const value = immediate(op, p[2], -(2 ** 31), 2 ** 32 - 1) | 0;
+            if (value >= -2048 && value <= 2047) return [`addi ${p[1]}, x0, ${value}`];
+            // Constante grande: lui carga los 20 bits altos (compensando el signo de los bajos)
+            const hi = ((value + 0x800) >>> 12) & 0xFFFFF;
+            const lo = signExtend(value & 0xFFF, 12);
+            const out = [`lui ${p[1]}, ${hi}`];
+            if (lo !== 0) out.push(`addi ${p[1]}, ${p[1]}, ${lo}`);
+            return out;
+        }
+
+        // Secuencias AUIPC + inmediato bajo relativas al AUIPC
+        case "la": return [`auipc ${p[1]}, %pcrel_hi(${p[2]})`, `addi ${p[1]}, ${p[1]}, %pcrel_lo(${p[2]})`];
+        case "call": return [`auipc x1, %pcrel_hi(${p[1]})`, `jalr x1, x1, %pcrel_lo(${p[1]})`];
+        case "tail": return [`auipc x6, %pcrel_hi(${p[1]})`, `jalr x0, x6, %pcrel_lo(${p[1]})`];
+
+        default: return null;
+    }
+}
+
+// Código máquina en hexadecimal: una palabra por línea (con o sin 0x).
+// Devuelve las palabras, o null si el texto no es sólo hexadecimal.
+export function parseMachineCode(source) {
+    const lines = source
+        .split(/\r?\n/)
+        .map((l) => stripComment(l).trim())
+        .filter(Boolean);
+    if (!lines.length || !lines.every((l) => /^(0x)?[0-9a-fA-F]{1,8}$/.test(l))) return null;
+    return lines.map((l) => parseInt(l.replace(/^0x/, ""), 16) >>> 0);
+}
+
+// Ensambla un programa con secciones .text/.data.
+// Devuelve { text: palabras de código, data: bytes de .data, labels, sourceLines, diagnostics }.
+// sourceLines[i] es la línea fuente (desde 1) de la palabra text[i]; las pseudo-instrucciones
+// expandidas comparten la línea de origen.
+// Cada diagnóstico es { line, column, length, severity: "error" | "warning", message }
+// (línea y columna desde 1). Se ensambla todo el programa aunque haya errores; si los
+// hay, se lanza un Error con la lista completa en err.diagnostics.
+// Las bases por defecto son las de RARS.
+export function assembleProgram(text, { textBase = 0x00400000, dataBase = 0x10010000 } = {}) {
+    let lines = text.split(/\r?\n/);
+
+    const diagnostics = [];
+    const at = { line: 0, raw: "" }; // Línea en proceso
+
+    // Ubica el token (palabra completa) en la línea original; si no aparece,
+    // marca la instrucción completa
+    const report = (severity, message, token) => {
+        let column = token ? findToken(at.raw, token) : -1;
+        let length = token ? token.length : 0;
+        if (column < 0) {
+            column = Math.max(0, at.raw.search(/\S/));
+            length = stripComment(at.raw).trim().length;
+        }
+        diagnostics.push({ line: at.line, column: column + 1, length, severity, message });
+    };
+
+    // Valor de datos que no cabe en size bytes: se trunca con aviso
+    const checkDataRange = (dir, token, value, size) => {
+        const bits = size * 8;
+        if (value < -(2 ** (bits - 1)) || value > 2 ** bits - 1) {
+            report("warning", `Valor truncado a ${bits} bits en ${dir}: ${token}`, token);
+        }
+    };
+
+    // ========================
+    // 1) PRIMER PASO: ETIQUETAS Y DATOS
+    // ========================
+    // Sin prototipo: una etiqueta llamada toString o constructor no choca con Object.prototype
+    let labels = Object.create(null);
+    let pc = textBase;
+    let section = "text";
+    const data = [];
+    const wordFixups = []; // .word con etiquetas: se resuelven al terminar el paso
+    const code = []; // { line, pc, lineNo, raw } por instrucción
+
+    const emit = (value, size) => {
+        for (let i = 0; i < size; i++) data.push((value >>> (8 * i)) & 0xFF);
+    };
+    const alignData = (bytes) => {
+        while (data.length % bytes) data.push(0);
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const raw = lines[i];
+        at.line = i + 1;
+        at.raw = raw;
+        try {
+            let line = stripComment(raw).trim();
+
+            // Etiquetas al inicio de la línea (pueden ir seguidas de instrucción o directiva)
+            const pending = [];
+            let m;
+            while ((m = line.match(/^([A-Za-z_.$][\w.$]*):\s*/))) {
+                pending.push(m[1]);
+                line = line.slice(m[0].length);
+            }
+
+            const dir = line.startsWith(".") ? line.split(/\s+/)[0] : null;
+            const rest = dir ? line.slice(dir.length).trim() : "";
+
+            // .word / .half se alinean a su tamaño antes de asignar etiquetas (como RARS)
+            if (section === "data" && dir === ".word") alignData(4);
+            if (section === "data" && dir === ".half") alignData(2);
+
+            for (const name of pending) {
+                if (name in labels) {
+                    report("error", `Etiqueta duplicada: ${name}`, name);
+                    continue;
+                }
+                labels[name] = section === "text" ? pc : (dataBase + data.length) >>> 0;
+            }
+
+            if (!line) continue;
+
+            if (dir === ".text" || dir === ".data") {
+                section = dir.slice(1);
+                continue;
+            }
+            if (dir === ".globl" || dir === ".global") continue;
+
+            if (dir) {
+                if (section !== "data" && dir !== ".align") {
+                    throw asmError(`Directiva ${dir} sólo permitida en .data`, dir);
+                }
+                const args = splitOperands(rest);
+
+                if (dir === ".word") {
+                    for (const a of args) {
+                        if (isImmediate(a) || /^'/.test(a)) {
+                            const value = dataValue(dir, a);
+                            checkDataRange(dir, a, value, 4);
+                            emit(value, 4);
+                        } else {
+                            wordFixups.push({ offset: data.length, token: a, lineNo: at.line, raw });
+                            emit(0, 4);
+                        }
+                    }
+                } else if (dir === ".half" || dir === ".byte") {
+                    const size = dir === ".half" ? 2 : 1;
+                    for (const a of args) {
+                        const value = dataValue(dir, a);
+                        checkDataRange(dir, a, value, size);
+                        emit(value, size);
+                    }
+                } else if (dir === ".ascii" || dir === ".asciiz" || dir === ".string") {
+                    for (const a of args) {
+                        data.push(...parseString(dir, a));
+                        if (dir !== ".ascii") data.push(0);
+                    }
+                } else if (dir === ".space" || dir === ".zero") {
+                    const n = immediate(dir, args[0], 0, 0x100000);
+                    for (let i = 0; i < n; i++) data.push(0);
+                } else if (dir === ".align") {
+                    const bytes = 1 << immediate(dir, args[0], 0, 12);
+                    if (section === "data") alignData(bytes);
+                    else if (bytes > 4) {
+                        // En .text se rellena con NOPs (addi x0, x0, 0)
+                        while ((pc - textBase) % bytes) {
+                            code.push({ line: "addi x0, x0, 0", pc, lineNo: at.line, raw });
+                            pc += 4;
+                        }
+                    }
+                } else {
+                    throw asmError(`Directiva no soportada: ${dir}`, dir);
+                }
+                continue;
+            }
+
+            if (section !== "text") throw asmError(`Instrucción fuera de .text: ${line}`);
+
+            const expanded = expandPseudo(line);
+            if (expanded) {
+                // anchor: dirección de la primera instrucción (AUIPC en la/call/tail)
+                const anchor = pc;
+                for (const l of expanded) {
+                    code.push({ line: l, pc, anchor, lineNo: at.line, raw });
+                    pc += 4;
+                }
+                continue;
+            }
+
+            // Un mnemónico desconocido no ocupa espacio: no desplaza las etiquetas siguientes
+            const mnemonic = line.split(/\s+/)[0];
+            if (!INSTRUCTIONS.has(mnemonic.toLowerCase())) {
+                throw asmError(`Instrucción no soportada: ${mnemonic}`, mnemonic);
+            }
+
+            code.push({ line, pc, lineNo: at.line, raw });
+            pc += 4;  // Cada instrucción ocupa 4 bytes
+        } catch (err) {
+            report("error", err.message, err.token);
+        }
+    }
+
+    for (const { offset, token, lineNo, raw } of wordFixups) {
+        at.line = lineNo;
+        at.raw = raw;
+        try {
+            const value = dataValue(".word", token, labels);
+            for (let i = 0; i < 4; i++) data[offset + i] = (value >>> (8 * i)) & 0xFF;
+        } catch (err) {
+            report("error", err.message, err.token);
+        }
+    }
+
+    // ========================
+    // 2) SEGUNDO PASO: ENSAMBLAR
+    // ========================
+    const out = [];
+
+    for (const item of code) {
+        at.line = item.lineNo;
+        at.raw = item.raw;
+        try {
+            pc = item.pc;
+            const line = resolveRelocations(item.line, labels, item.anchor ?? item.pc);
+
+            let p = line.replace(/,/g, " ").replace(/\(/g, " ").replace(/\)/g, " ").split(/\s+/).filter(Boolean);
+            let op = p[0].toLowerCase();
+
+            // ---------- TIPO R ----------
+            if (["add", "sub", "and", "or", "xor", "sll", "srl", "sra", "slt", "sltu"].includes(op)) {
+
+                expectOperandCount(op, p, 3);
+                expectRegisters(op, [p[1], p[2], p[3]]);
+
+                const functMap = {
+                    add: [0x00, 0x0],
+                    sub: [0x20, 0x0],
+                    and: [0x00, 0x7],
+                    or: [0x00, 0x6],
+                    xor: [0x00, 0x4],
+                    sll: [0x00, 0x1],
+                    srl: [0x00, 0x5],
+                    sra: [0x20, 0x5],
+                    slt: [0x00, 0x2],
+                    sltu: [0x00, 0x3]
+                };
+
+                const [funct7, funct3] = functMap[op];
+                out.push(R(funct7, funct3, 0x33, reg(p[1]), reg(p[2]), reg(p[3])));
+            }
+
+            // ---------- TIPO R (RV32M) ----------
+            else if (["mul", "mulh", "mulhsu", "mulhu", "div", "divu", "rem", "remu"].includes(op)) {
+
+                expectOperandCount(op, p, 3);
+                expectRegisters(op, [p[1], p[2], p[3]]);
+
+                const functMap = {
+                    mul: 0x0,
+                    mulh: 0x1,
+                    mulhsu: 0x2,
+                    mulhu: 0x3,
+                    div: 0x4,
+                    divu: 0x5,
+                    rem: 0x6,
+                    remu: 0x7
+                };
+
+                out.push(R(0x01, functMap[op], 0x33, reg(p[1]), reg(p[2]), reg(p[3])));
+            }
+
+            // ---------- TIPO I ----------
+            else if (["addi", "andi", "ori", "xori", "slti", "sltiu", "slli", "srli", "srai"].includes(op)) {
+
+                expectOperandCount(op, p, 3);
+                expectRegisters(op, [p[1], p[2]]);
+
+                // Desplazamientos: shamt de 5 bits; resto: inmediato de 12 bits con signo
+                const isShift = op === "slli" || op === "srli" || op === "srai";
+                const imm = isShift ? immediate(op, p[3], 0, 31) : immediate(op, p[3], -2048, 2047);
+
+                const functMap = {
+                    addi: 0x0,
+                    andi: 0x7,
+                    ori: 0x6,
+                    xori: 0x4,
+                    slti: 0x2,
+                    sltiu: 0x3,
+                    slli: 0x1,
+                    srli: 0x5,
+                    srai: 0x5
+                };
+
+                let instr = I(functMap[op], 0x13, reg(p[1]), reg(p[2]), imm);
+
+                if (op === "srai") instr |= (0x20 << 25);
+
+                out.push(instr);
+            }
+
+            // ---------- LOAD ----------
+            // lw rd, imm(rs1)  |  lw rd, (rs1)
+            else if (["lb", "lh", "lw", "lbu", "lhu"].includes(op)) {
+
+                expectOperandCount(op, p, 3);
+                const [base, offset] = p.length === 3 ? [p[2], "0"] : [p[3], p[2]];
+                expectRegisters(op, [p[1], base]);
+                const imm = immediate(op, offset, -2048, 2047);
+
+                const functMap = { lb: 0x0, lh: 0x1, lw: 0x2, lbu: 0x4, lhu: 0x5 };
+
+                out.push(I(functMap[op], 0x03, reg(p[1]), reg(base), imm));
+            }
+
+            // ---------- STORE ----------
+            // sw rs2, imm(rs1)  |  sw rs2, (rs1)
+            else if (["sb", "sh", "sw"].includes(op)) {
+
+                expectOperandCount(op, p, 3);
+                const [base, offset] = p.length === 3 ? [p[2], "0"] : [p[3], p[2]];
+                expectRegisters(op, [p[1], base]);
+                const imm = immediate(op, offset, -2048, 2047);
+
+                const functMap = { sb: 0x0, sh: 0x1, sw: 0x2 };
+
+                out.push(S(functMap[op], 0x23, reg(base), reg(p[1]), imm));
+            }
+
+            // ---------- BRANCH (etiqueta u offset) ----------
+            else if (["beq", "bne", "blt", "bge", "bltu", "bgeu"].includes(op)) {
+
+                // Validar registros
+                expectOperandCount(op, p, 3);
+                if (!isRegister(p[1]) || !isRegister(p[2])) {
+                    throw asmError(`Formato inválido: ${op} rs1, rs2, label`);
+                }
+
+                // Inmediato B: 13 bits con signo (±4 KiB)
+                const offset = jumpOffset(op, p[3], labels, pc, 13);
+                if (offset % 4 !== 0) report("warning", `Destino de ${op} no alineado a 4 bytes: fallará al saltar`, p[3]);
+
+                const funct3Map = {
+                    beq: 0x0,
+                    bne: 0x1,
+                    blt: 0x4,
+                    bge: 0x5,
+                    bltu: 0x6,
+                    bgeu: 0x7
+                };
+
+                out.push(B(funct3Map[op], 0x63, reg(p[1]), reg(p[2]), offset));
+            }
+
+            // ---------- TIPO U ----------
+            else if (op === "lui" || op === "auipc") {
+
+                expectOperandCount(op, p, 2);
+                expectRegisters(op, [p[1]]);
+                const imm = immediate(op, p[2], 0, 0xFFFFF);
+
+                out.push(U(op === "lui" ? 0x37 : 0x17, reg(p[1]), imm));
+            }
+
+            // ---------- JAL (etiqueta u offset) ----------
+            else if (op === "jal") {
+
+                // jal label  →  jal x1, label
+                expectOperandCount(op, p, 2);
+                const hasRd = p[2] !== undefined;
+                const rdTok = hasRd ? p[1] : "x1";
+                const target = hasRd ? p[2] : p[1];
+
+                expectRegisters(op, [rdTok]);
+
+                // Inmediato J: 21 bits con signo (±1 MiB)
+                const offset = jumpOffset(op, target, labels, pc, 21);
+                if (offset % 4 !== 0) report("warning", `Destino de ${op} no alineado a 4 bytes: fallará al saltar`, target);
+
+                out.push(J(0x6F, reg(rdTok), offset));
+            }
+
+            // ---------- JALR ----------
+            else if (op === "jalr") {
+
+                // jalr rs1  |  jalr rd, rs1, imm  |  jalr rd, imm(rs1)
+                expectOperandCount(op, p, 3);
+                let rd = "x1", rs1, imm = "0";
+                if (p[2] === undefined) {
+                    rs1 = p[1];
+                } else if (isRegister(p[2])) {
+                    rd = p[1]; rs1 = p[2]; imm = p[3] || "0";
+                } else {
+                    rd = p[1]; imm = p[2]; rs1 = p[3];
+                }
+
+                expectRegisters(op, [rd, rs1]);
+
+                out.push(I(0x0, 0x67, reg(rd), reg(rs1), immediate(op, imm, -2048, 2047)));
+            }
+
+            // ---------- SYSTEM ----------
+            else if (op === "ecall" || op === "ebreak") {
+                expectOperandCount(op, p, 0);
+                out.push(op === "ecall" ? 0x00000073 : 0x00100073);
+            }
+
+            else throw asmError(`Instrucción no soportada: ${op}`, p[0]);
+        } catch (err) {
+            report("error", err.message, err.token);
+            out.push(0); // Mantiene las direcciones de las instrucciones siguientes
+        }
+    }
+
+    diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+    const errors = diagnostics.filter(d => d.severity === "error");
+    if (errors.length) {
+        const first = errors[0];
+        const more = errors.length > 1 ? ` (y ${errors.length - 1} error(es) más)` : "";
+        const err = new Error(`Línea ${first.line}:${first.column}: ${first.message}${more}`);
+        err.diagnostics = diagnostics;
+        throw err;
+    }
+
+    return {
+        text: out.map(x => x >>> 0),
+        data: Uint8Array.from(data),
+        labels,
+        sourceLines: code.map(item => item.lineNo),
+        diagnostics,
+    };
+}
\ No newline at end of file
@@ -4,7 +4,12 @@ export function controlUnit({ opcode, funct3, funct7 }) {
     let wem = 0;
     let branch = 0;
     let branch_ne = 0;
-    let alu_op = 0; // 4 bits como tu unidad_control
+    let alu_op = 0; // 5 bits: 0x0-0xD RV32I, 0x10-0x17 RV32M
+    let alu_a_src = 0; // 0 = rs1, 1 = PC, 2 = cero
+    let jump = 0; // PC <- resultado ALU (JAL / JALR)
+    let pc2reg = 0; // rd <- PC + 4 (enlace)
+    let mem_size = 4; // bytes por acceso: 1 (B), 2 (H), 4 (W)
+    let mem_unsigned = 0; // LBU / LHU: extensión con ceros
 
     if (opcode === 0x33) {
         // R-type
@@ -12,33 +17,38 @@ export function controlUnit({ opcode, funct3, funct7 }) {
         alu2reg = 0;
         wem = 0;
         branch = 0;
-        switch (funct3) {
-            case 0x0:
-                if (funct7 === 0x20) alu_op = 0x1; // SUB
-                else alu_op = 0x0; // ADD
-                break;
-            case 0x7:
-                alu_op = 0x9; // AND
-                break;
-            case 0x6:
-                alu_op = 0x8; // OR
-                break;
-            case 0x4:
-                alu_op = 0x5; // XOR
-                break;
-            case 0x2:
-                alu_op = 0x3; // SLT
-                break;
-            case 0x3:
-                alu_op = 0x4; // SLTU
-                break;
-            case 0x1:
-                alu_op = 0x2; // SLL
-                break;
-            case 0x5:
-                if (funct7 === 0x20) alu_op = 0x7; // SRA
-                else alu_op = 0x6; // SRL
-                break;
+        if (funct7 === 0x01) {
+            // RV32M: MUL, MULH, MULHSU, MULHU, DIV, DIVU, REM, REMU
+            alu_op = 0x10 | funct3;
+        } else {
+            switch (funct3) {
+                case 0x0:
+                    if (funct7 === 0x20) alu_op = 0x1; // SUB
+                    else alu_op = 0x0; // ADD
+                    break;
+                case 0x7:
+                    alu_op = 0x9; // AND
+                    break;
+                case 0x6:
+                    alu_op = 0x8; // OR
+                    break;
+                case 0x4:
+                    alu_op = 0x5; // XOR
+                    break;
+                case 0x2:
+                    alu_op = 0x3; // SLT
+                    break;
+                case 0x3:
+                    alu_op = 0x4; // SLTU
+                    break;
+                case 0x1:
+                    alu_op = 0x2; // SLL
+                    break;
+                case 0x5:
+                    if (funct7 === 0x20) alu_op = 0x7; // SRA
+                    else alu_op = 0x6; // SRL
+                    break;
+            }
         }
     } else if (opcode === 0x13) {
         // I-type ALU
@@ -74,19 +84,22 @@ export function controlUnit({ opcode, funct3, funct7 }) {
                 break;
         }
     } else if (opcode === 0x03) {
-        // LOAD (LW)
+        // LOAD (LB, LH, LW, LBU, LHU)
         alu_src = 1;
         alu_op = 0x0; // ADD
         alu2reg = 1;
         wem = 0;
         branch = 0;
+        mem_size = 1 << (funct3 & 0x3);
+        mem_unsigned = (funct3 & 0x4) ? 1 : 0;
     } else if (opcode === 0x23) {
-        // STORE (SW)
+        // STORE (SB, SH, SW)
         alu_src = 1;
         alu_op = 0x0; // ADD
         alu2reg = 0;
         wem = 1;
         branch = 0;
+        mem_size = 1 << (funct3 & 0x3);
     } else if (opcode === 0x63) {
         // BRANCH
         alu_src = 0;
@@ -119,7 +132,31 @@ export function controlUnit({ opcode, funct3, funct7 }) {
                 branch_ne = 1;
                 break;
         }
+    } else if (opcode === 0x37) {
+        // LUI: rd = 0 + imm
+        alu_src = 1;
+        alu_a_src = 2;
+        alu_op = 0x0; // ADD
+    } else if (opcode === 0x17) {
+        // AUIPC: rd = PC + imm
+        alu_src = 1;
+        alu_a_src = 1;
+        alu_op = 0x0; // ADD
+    } else if (opcode === 0x6f) {
+        // JAL: destino = PC + imm, rd = PC + 4
+        alu_src = 1;
+        alu_a_src = 1;
+        alu_op = 0x0; // ADD
+        jump = 1;
+        pc2reg = 1;
+    } else if (opcode === 0x67) {
+        // JALR: destino = (rs1 + imm) & ~1, rd = PC + 4
+        alu_src = 1;
+        alu_a_src = 0;
+        alu_op = 0x0; // ADD
+        jump = 1;
+        pc2reg = 1;
     }
 
-    return { alu_src, alu2reg, wem, branch, branch_ne, alu_op };
+    return { alu_src, alu2reg, wem, branch, branch_ne, alu_op, alu_a_src, jump, pc2reg, mem_size, mem_unsigned };
 }
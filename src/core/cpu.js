@@ -1,6 +1,16 @@
 import { toHex32, signExtend } from './utils.js';
+import { assembleProgram, parseMachineCode } from './assembler.js';
 import { alu } from './alu.js';
 import { controlUnit } from './control.js';
+import { ExecutionProfile } from './profile.js';
+import {
+    Memory,
+    Segment,
+    MEMORY_LAYOUTS,
+    DEFAULT_LAYOUT,
+    DATA_MEM_DEFAULT_BYTES,
+    checkDataMemSize,
+} from './memory.js';
 
 export const Stage = {
     FETCH: "FETCH",
@@ -10,250 +20,196 @@ export const Stage = {
     WB: "WB",
 };
 
+// Pasos que conserva el historial de ejecución (los más antiguos se descartan)
+export const HISTORY_LIMIT = 50000;
+
+// Fin del programa: instrucción nula (memoria limpia tras el último word), ECALL o EBREAK
+export function isHaltInstruction(instr) {
+    return instr === 0 || instr === 0x00000073 || instr === 0x00100073;
+}
+
 export class RISCVProcessor {
-    constructor() {
+    constructor({ dataMemSize = DATA_MEM_DEFAULT_BYTES, layout = MEMORY_LAYOUTS[DEFAULT_LAYOUT] } = {}) {
+        this.dataMemSize = checkDataMemSize(dataMemSize);
+        this.layout = { ...layout };
+        // Imagen del programa cargado (código y .data); se copia a memoria en cada reset()
+        this.program = new Uint32Array(0);
+        this.dataImage = new Uint8Array(0);
+        // Línea fuente de cada palabra del programa (vacío si se cargó en hexadecimal)
+        this.sourceLines = [];
+        // Direcciones de breakpoint; persisten entre reset() y loadProgram()
+        this.breakpoints = new Set();
+        // Historial: un delta por paso; history[0..historyPos) está aplicado y el resto
+        // son pasos deshechos que se pueden rehacer (seekHistory)
+        this.history = [];
+        this.historyPos = 0;
+        // Instrucciones retiradas que ya no están en el historial (descartadas por
+        // HISTORY_LIMIT o anteriores a una instantánea restaurada)
+        this.retiredBeforeHistory = 0;
+        // Pasos descartados por HISTORY_LIMIT: stepsBeforeHistory + historyPos es el
+        // número absoluto de pasos aplicados desde el último reset
+        this.stepsBeforeHistory = 0;
+        // Contadores por dirección, branches y formatos (src/core/profile.js)
+        this.profile = new ExecutionProfile();
         this.state = {
-            pc: 0 >>> 0,
+            pc: this.layout.text >>> 0,
             cycle: 0,
             regs: new Uint32Array(32),
-            dataMem: new Uint32Array(32),
-            instrMem: new Uint32Array(256),
+            mem: new Memory(this.layout, this.dataMemSize),
             halted: false,
         };
         this.reset();
     }
 
+    // Modelo de ejecución: "single" (monociclo); las subclases lo redefinen
+    get model() {
+        return "single";
+    }
+
     reset() {
-        this.state.pc = 0 >>> 0;
+        this.state.pc = this.layout.text >>> 0;
         this.state.cycle = 0;
         this.state.halted = false;
+        this.history = [];
+        this.historyPos = 0;
+        this.retiredBeforeHistory = 0;
+        this.stepsBeforeHistory = 0;
+        this.profile.clear();
 
-        // Banco de registros
+        // Banco de registros: sp y gp con sus valores iniciales del mapa de memoria
         this.state.regs = new Uint32Array(32);
+        this.state.regs[2] = this.layout.stack >>> 0;
+        this.state.regs[3] = this.layout.gp >>> 0;
 
+        // Espacio de direcciones (texto, datos, heap y pila) limpio
+        this.state.mem = new Memory(this.layout, this.dataMemSize);
 
-        // Memoria de datos
-        this.state.dataMem = new Uint32Array(32);
-
-        // No borramos instrMem aquí para persistir el programa cargado
+        // El programa cargado persiste entre resets
+        this.state.mem.loadWords(this.layout.text, this.program);
+        this.state.mem.loadBytes(this.layout.data, this.dataImage);
     }
 
-
-    loadProgram(sourceCode) {
-        this.state.instrMem.fill(0);
-        const lines = sourceCode
-            .split(/\r?\n/)
-            .map((l) => l.trim())
-            .filter((l) => l && !l.startsWith("#") && !l.startsWith("//"));
-
-        let addr = 0;
-        for (const line of lines) {
-            let value = NaN;
-
-            // Si es sólo hexadecimal (p.ej. 00400093)
-            if (/^[0-9a-fA-F]+$/.test(line)) {
-                value = parseInt(line, 16);
-            } else {
-                // Interpretar como instrucción en ensamblador RISC-V
-                value = this.assembleLine(line, addr * 4);
-            }
-
-            if (value != null && !Number.isNaN(value)) {
-                this.state.instrMem[addr++] = value >>> 0;
-            }
-        }
+    // Cambia el tamaño de los segmentos de datos/heap/pila (en bytes) y reinicia el estado
+    setDataMemSize(bytes) {
+        this.dataMemSize = checkDataMemSize(bytes);
         this.reset();
-        return addr; // Retorna número de instrucciones cargadas
     }
 
-    assembleLine(line, pc = 0) {
-        // Quitar comentarios
-        const clean = line.split(/[#;]/)[0].trim();
-        if (!clean) return null;
-
-        // Separar por comas y espacios
-        const parts = clean.replace(/,/g, " ").split(/\s+/).filter(Boolean);
-        const mn = parts[0].toLowerCase();
-
-        const reg = (token) => {
-            // Aceptar formato x0-x31
-            const m = token.match(/^x(\d{1,2})$/i);
-            if (!m) throw new Error(`Registro inválido: ${token}`);
-            const n = parseInt(m[1], 10);
-            if (n < 0 || n > 31) throw new Error(`Registro fuera de rango: ${token}`);
-            return n;
-        };
+    // Cambia las bases de los segmentos ({ text, data, heap, stack, gp }) y reinicia el estado
+    setLayout(layout) {
+        const next = { ...this.layout, ...layout };
+        new Memory(next, this.dataMemSize); // Valida antes de aplicar
+        this.layout = next;
+        this.reset();
+    }
 
-        const immVal = (token) => {
-            if (/^0x[0-9a-fA-F]+$/.test(token)) {
-                return parseInt(token, 16) | 0;
-            }
-            return parseInt(token, 10) | 0;
-        };
+    // sourceCode: código máquina en hexadecimal (una palabra por línea) o ensamblador.
+    // data: bytes iniciales de .data para programas en hexadecimal
+    // (con ensamblador se toman de las directivas .data).
+    loadProgram(sourceCode, data = null) {
+        let words = parseMachineCode(sourceCode);
+        let sourceLines = [];
+        if (!words) {
+            const assembled = assembleProgram(sourceCode, { textBase: this.layout.text, dataBase: this.layout.data });
+            words = assembled.text;
+            data = assembled.data;
+            sourceLines = assembled.sourceLines;
+        }
 
-        const encodeR = (funct7, rs2, rs1, funct3, rd, opcode) => {
-            return (
-                ((funct7 & 0x7f) << 25) |
-                ((rs2 & 0x1f) << 20) |
-                ((rs1 & 0x1f) << 15) |
-                ((funct3 & 0x7) << 12) |
-                ((rd & 0x1f) << 7) |
-                (opcode & 0x7f)
-            ) >>> 0;
-        };
+        const textSize = this.state.mem.region(Segment.TEXT).size;
+        const dataSize = this.state.mem.region(Segment.DATA).size;
+        if (words.length * 4 > textSize) {
+            throw new Error(`El programa no cabe en el segmento de texto (${textSize} bytes)`);
+        }
+        if (data && data.length > dataSize) {
+            throw new Error(`Los datos (${data.length} bytes) no caben en el segmento .data (${dataSize} bytes)`);
+        }
 
-        const encodeI = (imm, rs1, funct3, rd, opcode) => {
-            const imm12 = imm & 0xfff;
-            return (
-                ((imm12 & 0xfff) << 20) |
-                ((rs1 & 0x1f) << 15) |
-                ((funct3 & 0x7) << 12) |
-                ((rd & 0x1f) << 7) |
-                (opcode & 0x7f)
-            ) >>> 0;
-        };
+        this.program = Uint32Array.from(words);
+        this.dataImage = data ? Uint8Array.from(data) : new Uint8Array(0);
+        this.sourceLines = sourceLines;
+        this.reset();
+        return words.length; // Retorna número de instrucciones cargadas
+    }
 
-        const encodeS = (imm, rs2, rs1, funct3, opcode) => {
-            const imm12 = imm & 0xfff;
-            const imm4_0 = imm12 & 0x1f;
-            const imm11_5 = (imm12 >> 5) & 0x7f;
-            return (
-                ((imm11_5 & 0x7f) << 25) |
-                ((rs2 & 0x1f) << 20) |
-                ((rs1 & 0x1f) << 15) |
-                ((funct3 & 0x7) << 12) |
-                ((imm4_0 & 0x1f) << 7) |
-                (opcode & 0x7f)
-            ) >>> 0;
-        };
+    // Copia el programa, el mapa de memoria y los breakpoints de otro procesador
+    // (cambio de modelo de ejecución) y reinicia
+    adoptProgram(other) {
+        this.dataMemSize = other.dataMemSize;
+        this.layout = { ...other.layout };
+        this.program = other.program;
+        this.dataImage = other.dataImage;
+        this.sourceLines = other.sourceLines;
+        this.breakpoints = new Set(other.breakpoints);
+        this.reset();
+    }
 
-        const encodeB = (imm, rs2, rs1, funct3, opcode) => {
-            // imm es desplazamiento en bytes (múltiplo de 2)
-            const imm13 = imm & 0x1fff;
-            const imm12 = (imm13 >> 12) & 0x1;
-            const imm10_5 = (imm13 >> 5) & 0x3f;
-            const imm4_1 = (imm13 >> 1) & 0x0f;
-            const imm11 = (imm13 >> 11) & 0x1;
-
-            return (
-                ((imm12 & 0x1) << 31) |
-                ((imm10_5 & 0x3f) << 25) |
-                ((rs2 & 0x1f) << 20) |
-                ((rs1 & 0x1f) << 15) |
-                ((funct3 & 0x7) << 12) |
-                ((imm4_1 & 0x0f) << 8) |
-                ((imm11 & 0x1) << 7) |
-                (opcode & 0x7f)
-            ) >>> 0;
-        };
+    // PC desde el que se reanuda la ejecución (instantáneas): la próxima instrucción
+    resumePc() {
+        return this.state.pc >>> 0;
+    }
 
-        const encodeU = (imm, rd, opcode) => {
-            const imm20 = imm & 0xfffff;
-            return (
-                ((imm20 & 0xfffff) << 12) |
-                ((rd & 0x1f) << 7) |
-                (opcode & 0x7f)
-            ) >>> 0;
-        };
+    // Línea fuente de la instrucción en addr, o null (fuera del programa o sin fuente)
+    sourceLineAt(addr) {
+        const offset = ((addr >>> 0) - (this.layout.text >>> 0));
+        if (offset < 0 || offset % 4 !== 0) return null;
+        return this.sourceLines[offset / 4] ?? null;
+    }
 
-        const encodeJ = (imm, rd, opcode) => {
-            // imm es desplazamiento en bytes (múltiplo de 2)
-            const imm21 = imm & 0x1fffff;
-            const imm20 = (imm21 >> 20) & 0x1;
-            const imm10_1 = (imm21 >> 1) & 0x3ff;
-            const imm11 = (imm21 >> 11) & 0x1;
-            const imm19_12 = (imm21 >> 12) & 0xff;
-
-            return (
-                ((imm20 & 0x1) << 31) |
-                ((imm19_12 & 0xff) << 12) |
-                ((imm11 & 0x1) << 20) |
-                ((imm10_1 & 0x3ff) << 21) |
-                ((rd & 0x1f) << 7) |
-                (opcode & 0x7f)
-            ) >>> 0;
-        };
+    /* ---------- Breakpoints ---------- */
 
-        // ------------ R-TYPE ------------
-        if (mn === "add" || mn === "sub" || mn === "and" || mn === "or" || mn === "xor") {
-            const rd = reg(parts[1]);
-            const rs1 = reg(parts[2]);
-            const rs2 = reg(parts[3]);
-            let funct7 = 0x00;
-            let funct3 = 0x0;
-
-            if (mn === "add") { funct7 = 0x00; funct3 = 0x0; }
-            if (mn === "sub") { funct7 = 0x20; funct3 = 0x0; }
-            if (mn === "and") { funct7 = 0x00; funct3 = 0x7; }
-            if (mn === "or")  { funct7 = 0x00; funct3 = 0x6; }
-            if (mn === "xor") { funct7 = 0x00; funct3 = 0x4; }
-
-            return encodeR(funct7, rs2, rs1, funct3, rd, 0x33);
-        }
+    addBreakpoint(addr) {
+        addr = addr >>> 0;
+        if (addr % 4 !== 0) throw new Error(`Breakpoint desalineado: ${toHex32(addr)}`);
+        this.breakpoints.add(addr);
+    }
 
-        // ------------ I-TYPE ARITH / LOAD ------------
-        if (mn === "addi" || mn === "andi" || mn === "ori" || mn === "xori") {
-            const rd = reg(parts[1]);
-            const rs1 = reg(parts[2]);
-            const imm = immVal(parts[3]);
-            let funct3 = 0x0;
-            if (mn === "andi") funct3 = 0x7;
-            if (mn === "ori") funct3 = 0x6;
-            if (mn === "xori") funct3 = 0x4;
-
-            return encodeI(imm, rs1, funct3, rd, 0x13);
-        }
+    removeBreakpoint(addr) {
+        return this.breakpoints.delete(addr >>> 0);
+    }
 
-        if (mn === "lw") {
-            const rd = reg(parts[1]);
-            // Sintaxis: lw rd, imm(rs1)
-            const offsetBase = parts[2];
-            const m = offsetBase.match(/^(-?\d+|0x[0-9a-fA-F]+)\((x\d{1,2})\)$/);
-            if (!m) throw new Error(`Formato lw inválido: ${clean}`);
-            const imm = immVal(m[1]);
-            const rs1 = reg(m[2]);
-            const funct3 = 0x2; // LW
-            return encodeI(imm, rs1, funct3, rd, 0x03);
-        }
+    // Devuelve true si el breakpoint quedó activo
+    toggleBreakpoint(addr) {
+        if (this.removeBreakpoint(addr)) return false;
+        this.addBreakpoint(addr);
+        return true;
+    }
 
-        // ------------ S-TYPE (STORE) ------------
-        if (mn === "sw") {
-            // Sintaxis: sw rs2, imm(rs1)
-            const rs2 = reg(parts[1]);
-            const offsetBase = parts[2];
-            const m = offsetBase.match(/^(-?\d+|0x[0-9a-fA-F]+)\((x\d{1,2})\)$/);
-            if (!m) throw new Error(`Formato sw inválido: ${clean}`);
-            const imm = immVal(m[1]);
-            const rs1 = reg(m[2]);
-            const funct3 = 0x2; // SW
-            return encodeS(imm, rs2, rs1, funct3, 0x23);
-        }
+    hasBreakpoint(addr) {
+        return this.breakpoints.has(addr >>> 0);
+    }
 
-        // ------------ BRANCHES ------------
-        if (mn === "beq" || mn === "bne") {
-            const rs1 = reg(parts[1]);
-            const rs2 = reg(parts[2]);
-            const imm = immVal(parts[3]);
-            let funct3 = 0x0;
-            if (mn === "bne") funct3 = 0x1;
-            return encodeB(imm, rs2, rs1, funct3, 0x63);
-        }
+    clearBreakpoints() {
+        this.breakpoints.clear();
+    }
 
-        // ------------ U-TYPE ------------
-        if (mn === "lui") {
-            const rd = reg(parts[1]);
-            const imm = immVal(parts[2]);
-            return encodeU(imm, rd, 0x37);
-        }
+    // La próxima instrucción a ejecutar tiene breakpoint
+    atBreakpoint() {
+        return !this.state.halted && this.breakpoints.has(this.state.pc >>> 0);
+    }
 
-        // ------------ J-TYPE ------------
-        if (mn === "jal") {
-            const rd = reg(parts[1]);
-            const imm = immVal(parts[2]);
-            return encodeJ(imm, rd, 0x6f);
+    // Ejecuta sin animación hasta HALT, un breakpoint o maxSteps pasos.
+    // Con resume (por defecto) la instrucción del PC inicial se ejecuta aunque tenga
+    // breakpoint; resume: false sirve para continuar una ejecución partida en lotes.
+    // Devuelve { reason: "halt" | "breakpoint" | "limit", steps }
+    run(maxSteps = 1000000, { resume = true } = {}) {
+        let steps = 0;
+        while (!this.state.halted) {
+            if ((steps > 0 || !resume) && this.atBreakpoint()) return { reason: "breakpoint", steps };
+            if (steps >= maxSteps) return { reason: "limit", steps };
+            this.step();
+            steps++;
         }
+        return { reason: "halt", steps };
+    }
 
-        throw new Error(`Instrucción ensamblador no soportada: ${line}`);
+    // Direcciones de las instrucciones generadas por una línea fuente
+    addressesOfLine(line) {
+        const out = [];
+        this.sourceLines.forEach((l, i) => {
+            if (l === line) out.push((this.layout.text + i * 4) >>> 0);
+        });
+        return out;
     }
 
     decode(instr) {
@@ -267,7 +223,7 @@ export class RISCVProcessor {
         let imm = 0;
         let immType = "";
 
-        if (opcode === 0x13 || opcode === 0x03) {
+        if (opcode === 0x13 || opcode === 0x03 || opcode === 0x67) {
             imm = signExtend(instr >>> 20, 12);
             immType = "I";
         } else if (opcode === 0x23) {
@@ -283,6 +239,17 @@ export class RISCVProcessor {
             const raw = (imm12 << 12) | (imm11 << 11) | (imm10_5 << 5) | (imm4_1 << 1);
             imm = signExtend(raw, 13);
             immType = "B";
+        } else if (opcode === 0x37 || opcode === 0x17) {
+            imm = (instr & 0xfffff000) | 0;
+            immType = "U";
+        } else if (opcode === 0x6f) {
+            const imm20 = (instr >>> 31) & 0x1;
+            const imm10_1 = (instr >>> 21) & 0x3ff;
+            const imm11 = (instr >>> 20) & 0x1;
+            const imm19_12 = (instr >>> 12) & 0xff;
+            const raw = (imm20 << 20) | (imm19_12 << 12) | (imm11 << 11) | (imm10_1 << 1);
+            imm = signExtend(raw, 21);
+            immType = "J";
         }
 
         return { opcode, rd, funct3, rs1, rs2, funct7, imm, immType };
@@ -295,19 +262,12 @@ export class RISCVProcessor {
 
         // FETCH
         if (onStageUpdate) onStageUpdate(Stage.FETCH);
-        const wordIndex = this.state.pc >>> 2;
-        if (wordIndex >= this.state.instrMem.length) {
-            this.state.halted = true;
-            return null;
-        }
-
-        const instr = this.state.instrMem[wordIndex] >>> 0;
+        const instr = this.fetch(pc_before);
 
         // Detectar fin del programa: instrucción nula o HALT explícito
-        // - instr == 0: memoria limpia después del último word
-        // - ECALL / EBREAK
-        if (instr === 0 || instr === 0x00000073 || instr === 0x00100073) {
+        if (isHaltInstruction(instr)) {
             this.state.halted = true;
+            this._recordStep({ pc: pc_before, cycle: this.state.cycle, instr, result: null });
             return null;
         }
 
@@ -327,44 +287,26 @@ export class RISCVProcessor {
 
         // EXEC
         if (onStageUpdate) onStageUpdate(Stage.EXEC);
+        const alu_a = this._aluInputA(ctrl, a, pc_before);
         const alu_b = ctrl.alu_src ? imm : breg;
-        const alu_res = alu(a, alu_b, ctrl.alu_op);
+        const alu_res = alu(alu_a, alu_b, ctrl.alu_op);
 
         // MEM
         if (onStageUpdate) onStageUpdate(Stage.MEM);
-        let memData = 0;
-        let mem_addr = null;
-        let mem_index = null;
-        if (ctrl.wem) {
-            const addrIndex = (alu_res >>> 2) & 0x1f;
-            mem_addr = alu_res >>> 0;
-            mem_index = addrIndex;
-            this.state.dataMem[addrIndex] = breg >>> 0;
-        } else if (decoded.opcode === 0x03) {
-            const addrIndex = (alu_res >>> 2) & 0x1f;
-            mem_addr = alu_res >>> 0;
-            mem_index = addrIndex;
-            memData = this.state.dataMem[addrIndex] >>> 0;
-        }
+        const { memData, mem_addr, mem_index, mem_old } = this._memStage(decoded, ctrl, alu_res, breg);
 
-        // BRANCH
-        let pc_next = (this.state.pc + 4) | 0;
-        if (ctrl.branch) {
-            let take = false;
-            if (!ctrl.branch_ne && alu_res === 1) take = true; // BEQ
-            if (ctrl.branch_ne && alu_res === 0) take = true; // BNE
-            if (take) {
-                pc_next = (this.state.pc + (decoded.imm | 0)) | 0;
-            }
-        }
+        // BRANCH / JUMP
+        const pc_next = this._nextPc(pc_before, decoded, ctrl, alu_res);
 
         // WB
         if (onStageUpdate) onStageUpdate(Stage.WB);
         let wb_we = false;
         let wb_rd = null;
         let wb_val = null;
+        let reg_old = null;
         if (!ctrl.wem && decoded.opcode !== 0x63 && rd !== 0) {
-            const value = decoded.opcode === 0x03 && ctrl.alu2reg ? memData : alu_res;
+            const value = this._writeBackValue(decoded, ctrl, alu_res, memData, pc_before);
+            reg_old = this.state.regs[rd];
             this.state.regs[rd] = value >>> 0;
             wb_we = true;
             wb_rd = rd;
@@ -374,7 +316,7 @@ export class RISCVProcessor {
         this.state.pc = pc_next >>> 0;
         const pc_after = this.state.pc >>> 0;
 
-        return {
+        const result = {
             instr,
             pc_before,
             pc_after,
@@ -383,6 +325,7 @@ export class RISCVProcessor {
             rs1_val,
             rs2_val,
             alu_res,
+            alu_a: alu_a >>> 0,
             alu_b,
             mem_data: memData >>> 0,
             mem_addr,
@@ -391,6 +334,8 @@ export class RISCVProcessor {
             wb_rd,
             wb_val
         };
+        this._recordStep(this._stepDelta(result, reg_old, mem_old, breg));
+        return result;
     }
 
     // Método asíncrono que ejecuta cada etapa con delays
@@ -409,6 +354,7 @@ export class RISCVProcessor {
             rs1_val: null,
             rs2_val: null,
             alu_res: null,
+            alu_a: null,
             alu_b: null,
             mem_data: 0 >>> 0,
             mem_addr: null,
@@ -418,13 +364,7 @@ export class RISCVProcessor {
             wb_val: null,
         };
 
-        const wordIndex = this.state.pc >>> 2;
-        if (wordIndex >= this.state.instrMem.length) {
-            this.state.halted = true;
-            return null;
-        }
-
-        const instr = this.state.instrMem[wordIndex] >>> 0;
+        const instr = this.fetch(pc_before);
 
         // FETCH (datos listos para mostrar/animar)
         snap.instr = instr;
@@ -432,8 +372,9 @@ export class RISCVProcessor {
         await this._delay(stageDelay);
 
         // Detectar fin del programa: instrucción nula o HALT explícito
-        if (instr === 0 || instr === 0x00000073 || instr === 0x00100073) {
+        if (isHaltInstruction(instr)) {
             this.state.halted = true;
+            this._recordStep({ pc: pc_before, cycle: this.state.cycle, instr, result: null });
             return null;
         }
 
@@ -457,29 +398,18 @@ export class RISCVProcessor {
         await this._delay(stageDelay);
 
         // EXEC
+        const alu_a = this._aluInputA(ctrl, a, pc_before);
         const alu_b = ctrl.alu_src ? imm : breg;
-        const alu_res = alu(a, alu_b, ctrl.alu_op);
+        const alu_res = alu(alu_a, alu_b, ctrl.alu_op);
 
+        snap.alu_a = alu_a >>> 0;
         snap.alu_b = alu_b >>> 0;
         snap.alu_res = alu_res >>> 0;
         if (onStageUpdate) onStageUpdate(Stage.EXEC, { ...snap });
         await this._delay(stageDelay);
 
         // MEM
-        let memData = 0;
-        let mem_addr = null;
-        let mem_index = null;
-        if (ctrl.wem) {
-            const addrIndex = (alu_res >>> 2) & 0x1f;
-            mem_addr = alu_res >>> 0;
-            mem_index = addrIndex;
-            this.state.dataMem[addrIndex] = breg >>> 0;
-        } else if (decoded.opcode === 0x03) {
-            const addrIndex = (alu_res >>> 2) & 0x1f;
-            mem_addr = alu_res >>> 0;
-            mem_index = addrIndex;
-            memData = this.state.dataMem[addrIndex] >>> 0;
-        }
+        const { memData, mem_addr, mem_index, mem_old } = this._memStage(decoded, ctrl, alu_res, breg);
 
         snap.mem_data = memData >>> 0;
         snap.mem_addr = mem_addr;
@@ -487,23 +417,17 @@ export class RISCVProcessor {
         if (onStageUpdate) onStageUpdate(Stage.MEM, { ...snap });
         await this._delay(stageDelay);
 
-        // BRANCH
-        let pc_next = (this.state.pc + 4) | 0;
-        if (ctrl.branch) {
-            let take = false;
-            if (!ctrl.branch_ne && alu_res === 1) take = true; // BEQ
-            if (ctrl.branch_ne && alu_res === 0) take = true; // BNE
-            if (take) {
-                pc_next = (this.state.pc + (decoded.imm | 0)) | 0;
-            }
-        }
+        // BRANCH / JUMP
+        const pc_next = this._nextPc(pc_before, decoded, ctrl, alu_res);
 
         // WB
         let wb_we = false;
         let wb_rd = null;
         let wb_val = null;
+        let reg_old = null;
         if (!ctrl.wem && decoded.opcode !== 0x63 && rd !== 0) {
-            const value = decoded.opcode === 0x03 && ctrl.alu2reg ? memData : alu_res;
+            const value = this._writeBackValue(decoded, ctrl, alu_res, memData, pc_before);
+            reg_old = this.state.regs[rd];
             this.state.regs[rd] = value >>> 0;
             wb_we = true;
             wb_rd = rd;
@@ -521,7 +445,7 @@ export class RISCVProcessor {
 
         snap.pc_after = pc_after;
 
-        return {
+        const result = {
             instr,
             pc_before,
             pc_after,
@@ -530,6 +454,7 @@ export class RISCVProcessor {
             rs1_val,
             rs2_val,
             alu_res,
+            alu_a: alu_a >>> 0,
             alu_b,
             mem_data: memData >>> 0,
             mem_addr,
@@ -538,9 +463,157 @@ export class RISCVProcessor {
             wb_rd,
             wb_val
         };
+        this._recordStep(this._stepDelta(result, reg_old, mem_old, breg));
+        return result;
+    }
+
+    /* ---------- Historial (paso atrás / línea de tiempo) ---------- */
+
+    // Delta de un paso: lo necesario para deshacerlo y rehacerlo
+    _stepDelta(result, reg_old, mem_old, breg) {
+        return {
+            pc: result.pc_before,
+            cycle: this.state.cycle - 1,
+            rd: result.wb_we ? result.wb_rd : null,
+            reg_old,
+            reg_new: result.wb_val,
+            mem_addr: result.ctrl.wem ? result.mem_addr : null,
+            mem_size: result.ctrl.mem_size,
+            mem_old,
+            mem_new: breg >>> 0,
+            result,
+        };
+    }
+
+    _recordStep(delta) {
+        // Ejecutar desde un punto anterior descarta los pasos deshechos
+        this.history.length = this.historyPos;
+        this.history.push(delta);
+        if (delta.result) this.profile.record(delta.result);
+        if (this.history.length > HISTORY_LIMIT + 1000) {
+            const dropped = this.history.splice(0, this.history.length - HISTORY_LIMIT);
+            for (const d of dropped) if (d.result) this.retiredBeforeHistory++;
+            this.stepsBeforeHistory += dropped.length;
+        }
+        this.historyPos = this.history.length;
+    }
+
+    // Deshace el último paso; devuelve su delta o null si no hay historial
+    stepBack() {
+        if (this.historyPos === 0) return null;
+        const d = this.history[--this.historyPos];
+        if (d.result) this.profile.record(d.result, -1);
+        if (d.rd != null) this.state.regs[d.rd] = d.reg_old;
+        if (d.mem_addr != null) this.state.mem.write(d.mem_addr, d.mem_old, d.mem_size);
+        this.state.pc = d.pc;
+        this.state.cycle = d.cycle;
+        this.state.halted = false;
+        return d;
+    }
+
+    // Rehace un paso deshecho sin volver a ejecutarlo
+    stepRedo() {
+        if (this.historyPos >= this.history.length) return null;
+        const d = this.history[this.historyPos++];
+        if (d.result) this.profile.record(d.result);
+        if (d.rd != null) this.state.regs[d.rd] = d.reg_new;
+        if (d.mem_addr != null) this.state.mem.write(d.mem_addr, d.mem_new, d.mem_size);
+        if (d.result) {
+            this.state.pc = d.result.pc_after;
+            this.state.cycle = d.cycle + 1;
+        } else {
+            this.state.halted = true; // Paso de HALT
+        }
+        return d;
+    }
+
+    // Mueve el estado a la posición pos del historial (0 = antes del primer paso guardado)
+    seekHistory(pos) {
+        pos = Math.max(0, Math.min(this.history.length, pos | 0));
+        while (this.historyPos > pos) this.stepBack();
+        while (this.historyPos < pos) this.stepRedo();
+        return this.history[this.historyPos - 1] ?? null;
+    }
+
+    // Lee 1, 2 o 4 bytes (little-endian) del espacio de direcciones
+    readMem(addr, size = 4, signed = false) {
+        return this.state.mem.read(addr, size, signed);
+    }
+
+    // Escribe los 1, 2 o 4 bytes menos significativos de value (little-endian)
+    writeMem(addr, value, size = 4) {
+        this.state.mem.write(addr, value, size);
+    }
+
+    segmentOf(addr) {
+        return this.state.mem.segmentOf(addr);
+    }
+
+    // Lectura de instrucción: sólo desde el segmento de texto
+    fetch(pc) {
+        if (this.state.mem.segmentOf(pc) !== Segment.TEXT || (pc & 0x3) !== 0) {
+            this.state.halted = true;
+            throw new Error(`Fallo de acceso a instrucción: PC = ${toHex32(pc)} fuera del segmento de texto`);
+        }
+        return this.state.mem.read(pc, 4);
+    }
+
+    _memStage(decoded, ctrl, alu_res, breg) {
+        let memData = 0;
+        let mem_addr = null;
+        let mem_index = null;
+        let mem_old = null; // Valor sobrescrito (para el historial)
+        try {
+            if (ctrl.wem) {
+                mem_addr = alu_res >>> 0;
+                mem_index = mem_addr >>> 2;
+                mem_old = this.readMem(mem_addr, ctrl.mem_size);
+                this.writeMem(mem_addr, breg >>> 0, ctrl.mem_size);
+            } else if (decoded.opcode === 0x03) {
+                mem_addr = alu_res >>> 0;
+                mem_index = mem_addr >>> 2;
+                memData = this.readMem(mem_addr, ctrl.mem_size, !ctrl.mem_unsigned);
+            }
+        } catch (err) {
+            // La instrucción no se completa: el PC queda apuntando a ella
+            this.state.halted = true;
+            throw err;
+        }
+        return { memData, mem_addr, mem_index, mem_old };
+    }
+
+    // Entrada A de la ALU: rs1, PC (AUIPC/JAL) o cero (LUI)
+    _aluInputA(ctrl, rs1Val, pc) {
+        if (ctrl.alu_a_src === 1) return pc | 0;
+        if (ctrl.alu_a_src === 2) return 0;
+        return rs1Val | 0;
+    }
+
+    _nextPc(pc, decoded, ctrl, alu_res) {
+        if (ctrl.jump) {
+            // JAL / JALR: la ALU ya calculó el destino; el bit 0 se descarta
+            return (alu_res & ~1) | 0;
+        }
+        if (ctrl.branch) {
+            let take = false;
+            if (!ctrl.branch_ne && alu_res === 1) take = true; // BEQ
+            if (ctrl.branch_ne && alu_res === 0) take = true; // BNE
+            if (take) {
+                return (pc + (decoded.imm | 0)) | 0;
+            }
+        }
+        return (pc + 4) | 0;
+    }
+
+    // Dato que llega al banco de registros: PC+4 (enlace), memoria o ALU
+    _writeBackValue(decoded, ctrl, alu_res, memData, pc) {
+        if (ctrl.pc2reg) return (pc + 4) | 0;
+        if (decoded.opcode === 0x03 && ctrl.alu2reg) return memData;
+        return alu_res;
     }
 
     _delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 }
+
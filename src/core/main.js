@@ -1,15 +1,40 @@
 
 import { RISCVProcessor, Stage } from './cpu.js';
-import { toHex32, toInt32, signExtend, assembleProgram } from './utils.js';
+import { PipelinedProcessor, PIPELINE_STAGES } from './pipeline.js';
+import { pipelineTimeline, timelineToSVG } from './timing.js';
+import { MultiCycleProcessor, MULTICYCLE_CYCLES, fsmState, fsmNextState } from './multicycle.js';
+import { DATA_MEM_DEFAULT_BYTES, MEMORY_LAYOUTS, DEFAULT_LAYOUT, Segment } from './memory.js';
+import { toHex32, toInt32, signExtend } from './utils.js';
+import { ABI_NAMES, assembleProgram, parseMachineCode } from './assembler.js';
+import { INSTRUCTION_FORMATS, INSTRUCTION_CLASSES, instructionClass, performanceStats } from './profile.js';
+import { createSnapshot, restoreSnapshot } from './snapshot.js';
+import { buildShareUrl, decodeShareState, shareFragment } from './share.js';
+import { collectTrace, traceToCSV, traceToJSON, traceToSpikeLog, parseReferenceTrace, compareTrace } from './trace.js';
 
 let lastDecoded = null;
 let currentDecoded = null; // Para actualizar cuando cambia el formato
-const cpu = new RISCVProcessor();
+let cpu = new RISCVProcessor({ dataMemSize: DATA_MEM_DEFAULT_BYTES, layout: MEMORY_LAYOUTS[DEFAULT_LAYOUT] });
+// Modelos de ejecución seleccionables (el programa se conserva al cambiar)
+const CPU_MODELS = {
+    single: RISCVProcessor,
+    pipeline: PipelinedProcessor,
+    multicycle: MultiCycleProcessor,
+};
+
+// En pipeline y multiciclo cada paso es un ciclo de reloj (puede no terminar ninguna instrucción)
+function isClockedModel() {
+    return cpu.model !== 'single';
+}
 let runInterval = null;
 let displayFormat = 'dec'; // 'hex', 'dec', 'bin'
 let executionDelay = 600; // Delay en ms entre ciclos de ejecución
 let currentMemoryView = 'grid'; // 'grid' o 'table'
+const MEMORY_PAGE_WORDS = 32; // Palabras por página en las vistas de memoria
+let memorySegment = Segment.DATA; // Segmento mostrado en las vistas de memoria
+let memoryPage = 0; // Página dentro del segmento
 let lastStepResult = null; // Almacenar último resultado para tooltips
+// Vista del desensamblado: pseudo-instrucciones y nombres ABI de registros
+const asmView = { pseudo: false, abi: false };
 
 // Animación datapath (SVG)
 let dpAnim = {
@@ -90,14 +115,6 @@ function addMover(mover) {
     startDatapathTicker();
 }
 
-// ABI names para los registros
-const ABI_NAMES = [
-    'zero', 'ra', 'sp', 'gp', 'tp', 't0', 't1', 't2',
-    's0', 's1', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5',
-    'a6', 'a7', 's2', 's3', 's4', 's5', 's6', 's7',
-    's8', 's9', 's10', 's11', 't3', 't4', 't5', 't6'
-];
-
 /* ============================================================
    INICIO
 ============================================================ */
@@ -109,7 +126,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Event listeners seguros (verifica que el elemento existe antes de agregar listener)
     const btnStep = document.getElementById('btn-step');
+    const btnStepBack = document.getElementById('btn-step-back');
     const btnRun = document.getElementById('btn-run');
+    const btnRunFast = document.getElementById('btn-run-fast');
     const btnReset = document.getElementById('btn-reset');
     const btnLoad = document.getElementById('btn-load');
     const btnFullscreen = document.getElementById('btn-fullscreen');
@@ -120,7 +139,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const btnPreloadFibonacci = document.getElementById('btn-preload-fibonacci');
 
     if (btnStep) btnStep.addEventListener('click', handleStep);
+    if (btnStepBack) btnStepBack.addEventListener('click', handleStepBack);
     if (btnRun) btnRun.addEventListener('click', handleRun);
+    if (btnRunFast) btnRunFast.addEventListener('click', handleRunToEnd);
     if (btnReset) btnReset.addEventListener('click', handleReset);
     if (btnLoad) btnLoad.addEventListener('click', handleLoad);
     if (btnFullscreen) btnFullscreen.addEventListener('click', handleFullscreen);
@@ -130,14 +151,49 @@ document.addEventListener('DOMContentLoaded', () => {
     if (btnPreloadCollatz) btnPreloadCollatz.addEventListener('click', () => loadPresetProgram('collatz'));
     if (btnPreloadFibonacci) btnPreloadFibonacci.addEventListener('click', () => loadPresetProgram('fibonacci'));
     
+    // Modelo de ejecución (monociclo / pipeline)
+    setupCpuModelSelector();
+    setupPredictor();
+    setupTimingDiagram();
+
     // Configurar selector de formato
     setupFormatSelector();
+
+    // Vista de desensamblado (base / pseudo-instrucciones)
+    setupAsmViewToggle();
     
     // Configurar control de velocidad
     setupSpeedControl();
+    setupInstructionBudget();
     
     // Configurar toggle de vistas de memoria
     setupMemoryViewToggle();
+
+    // Mapa, tamaño y paginación de la memoria
+    setupMemoryLayoutSelector();
+    setupMemorySizeSelector();
+    setupMemorySegmentTabs();
+    setupMemoryPager();
+
+    // Editor con numeración de líneas y diagnósticos del ensamblador
+    setupProgramEditor();
+
+    // Breakpoints por línea (margen del editor) o por dirección
+    setupBreakpoints();
+
+    // Paso atrás y línea de tiempo
+    setupTimeline();
+
+    // Exportación de la traza de ejecución
+    setupTraceExport();
+    setupReferenceTrace();
+    setupProfile();
+
+    // Instantáneas y sesión guardada en localStorage
+    setupSnapshots();
+    setupShare();
+    restoreSession();
+    restoreSharedLink(); // Un enlace compartido tiene prioridad sobre la sesión
 });
 
 function isWirePath(el) {
@@ -390,6 +446,21 @@ function createModuleVisor() {
         <div class="module-visor-body" id="module-visor-body"></div>
     `;
     document.body.appendChild(visor);
+
+    // Visor de la FSM de control (multiciclo), junto al de la unidad de control
+    const fsmVisor = document.createElement('div');
+    fsmVisor.id = 'fsm-visor';
+    fsmVisor.className = 'module-visor fsm-visor';
+    fsmVisor.style.display = 'none';
+    fsmVisor.innerHTML = `
+        <div class="module-visor-title">FSM de control</div>
+        <div class="module-visor-body" id="fsm-visor-body"></div>
+    `;
+    document.body.appendChild(fsmVisor);
+}
+
+function isFsmVisorActive() {
+    return moduleVisorState.visible && moduleVisorState.moduleId === 'control-unit' && cpu.model === 'multicycle';
 }
 
 function setupModuleHoverVisor() {
@@ -412,8 +483,8 @@ function setupModuleHoverVisor() {
             // Solo mostrar el visor (card).
             if (!isFlatHoverModuleId(mod.id)) mod.classList.add('dp-hovered');
             showModuleVisor();
-            moveModuleVisor(e);
             refreshModuleVisor();
+            moveModuleVisor(e);
         });
 
         mod.addEventListener('pointermove', (e) => {
@@ -445,6 +516,8 @@ function hideModuleVisor() {
     const visor = document.getElementById('module-visor');
     if (!visor) return;
     visor.style.display = 'none';
+    const fsmVisor = document.getElementById('fsm-visor');
+    if (fsmVisor) fsmVisor.style.display = 'none';
 }
 
 function moveModuleVisor(e) {
@@ -469,6 +542,15 @@ function moveModuleVisor(e) {
 
     visor.style.left = `${left}px`;
     visor.style.top = `${top}px`;
+
+    // El visor de la FSM va a la derecha del de la unidad de control (o a la izquierda si no cabe)
+    const fsmVisor = document.getElementById('fsm-visor');
+    if (!fsmVisor || !isFsmVisorActive()) return;
+    const f = fsmVisor.getBoundingClientRect();
+    let fsmLeft = left + r.width + 8;
+    if (fsmLeft + f.width + pad > vw) fsmLeft = Math.max(pad, left - f.width - 8);
+    fsmVisor.style.left = `${fsmLeft}px`;
+    fsmVisor.style.top = `${Math.max(pad, Math.min(top, vh - f.height - pad))}px`;
 }
 
 function updateModuleTilt(mod, e) {
@@ -543,12 +625,8 @@ function getModuleVisorData(moduleId) {
             };
 
         case 'instr-mem': {
-            const instr = common.instr ?? (() => {
-                const wi = (cpu.state.pc >>> 2);
-                if (wi >= cpu.state.instrMem.length) return null;
-                return cpu.state.instrMem[wi] >>> 0;
-            })();
-            const wordIndex = (common.pc_before >>> 2);
+            const instr = common.instr ?? peekWord(cpu.state.pc);
+            const wordIndex = ((common.pc_before - cpu.layout.text) >>> 2);
             return {
                 title: 'Instruction Memory',
                 rows: [
@@ -573,6 +651,11 @@ function getModuleVisorData(moduleId) {
                     ['wem', c ? String(c.wem) : '--'],
                     ['branch', c ? String(c.branch) : '--'],
                     ['branch_ne', c ? String(c.branch_ne) : '--'],
+                    ['alu_a_src', c ? String(c.alu_a_src) : '--'],
+                    ['jump', c ? String(c.jump) : '--'],
+                    ['pc2reg', c ? String(c.pc2reg) : '--'],
+                    ['mem_size', c ? String(c.mem_size) : '--'],
+                    ['mem_unsigned', c ? String(c.mem_unsigned) : '--'],
                 ]
             };
 
@@ -610,7 +693,7 @@ function getModuleVisorData(moduleId) {
             return {
                 title: 'ALU',
                 rows: [
-                    ['A (rs1)', fmt32(sr?.rs1_val)],
+                    ['A', fmt32(sr?.alu_a ?? sr?.rs1_val)],
                     ['B', fmt32(sr?.alu_b)],
                     ['alu_op', c ? `0x${c.alu_op.toString(16).toUpperCase()}` : '--'],
                     ['result', fmt32(sr?.alu_res)],
@@ -619,8 +702,9 @@ function getModuleVisorData(moduleId) {
 
         case 'data-mem': {
             const addr = sr?.mem_addr ?? sr?.alu_res;
-            const idx = addr != null ? ((addr >>> 2) & 0x1f) : null;
-            const memVal = idx != null ? (cpu.state.dataMem[idx] >>> 0) : null;
+            const wordAddr = addr != null ? ((addr & ~3) >>> 0) : null;
+            const memVal = wordAddr != null ? peekWord(wordAddr) : null;
+            const segment = addr != null ? (cpu.segmentOf(addr) ?? 'unmapped') : '--';
 
             let op = '--';
             if (d?.opcode === 0x03) op = 'LOAD';
@@ -631,10 +715,11 @@ function getModuleVisorData(moduleId) {
                 rows: [
                     ['op', op],
                     ['addr', fmt32(addr)],
-                    ['index', idx == null ? '--' : String(idx)],
+                    ['segment', segment],
+                    ['size', (op !== '--' && c) ? `${c.mem_size} byte(s)${c.mem_unsigned ? ' (unsigned)' : ''}` : '--'],
                     ['write_data', op === 'STORE' ? fmt32(sr?.rs2_val) : '--'],
                     ['read_data', op === 'LOAD' ? fmt32(sr?.mem_data) : '--'],
-                    ['mem[index]', fmt32(memVal)],
+                    ['mem[addr]', fmt32(memVal)],
                 ]
             };
         }
@@ -665,6 +750,52 @@ function refreshModuleVisor() {
         const safeV = String(v);
         return `<div class="module-visor-row"><span class="module-visor-k">${safeK}</span><code class="module-visor-v">${safeV}</code></div>`;
     }).join('');
+
+    refreshFsmVisor();
+}
+
+// Estado de la FSM: el ejecutado en el último ciclo, el siguiente, sus señales y
+// los registros internos del datapath multiciclo
+function getFsmVisorRows() {
+    const fsm = cpu.fsm;
+    const last = fsmState(cpu.lastState);
+    const next = fsmState(fsm.state);
+    const describe = (s) => s ? `${s.number} · ${s.label}` : '--';
+    const signals = last ? Object.entries(last.signals).map(([k, v]) => `${k}=${v}`) : [];
+
+    // Instrucción en curso, o la que acaba de terminar si la FSM vuelve a FETCH
+    const decoded = fsm.current?.decoded ?? (fsm.state === 'FETCH' && cpu.lastState ? lastStepResult?.decoded : null);
+    const cls = decoded ? instructionClass(decoded) : null;
+    const path = ['FETCH'];
+    for (let id; decoded && (id = fsmNextState(path.at(-1), decoded)) !== 'FETCH';) path.push(id);
+
+    return [
+        ['estado', describe(last)],
+        ['siguiente', describe(next)],
+        ['acción', last ? last.registers : '--'],
+        ['señales', signals.length ? signals.join(' ') : '--'],
+        ['IR', fsm.pc === null ? '--' : `${toHex32(fsm.IR)} ${disassembleRV32I(fsm.IR, fsm.pc, asmView)}`],
+        ['A', fmt32(fsm.A)],
+        ['B', fmt32(fsm.B)],
+        ['ALUOut', fmt32(fsm.ALUOut)],
+        ['MDR', fmt32(fsm.MDR)],
+        ['ciclos', cls ? `${CLASS_LABELS[cls]}: ${MULTICYCLE_CYCLES[cls]} (${path.map(id => fsmState(id).number).join(' → ')})` : '--'],
+    ];
+}
+
+function refreshFsmVisor() {
+    const fsmVisor = document.getElementById('fsm-visor');
+    const bodyEl = document.getElementById('fsm-visor-body');
+    if (!fsmVisor || !bodyEl) return;
+    if (!isFsmVisorActive()) {
+        fsmVisor.style.display = 'none';
+        return;
+    }
+
+    fsmVisor.style.display = 'block';
+    bodyEl.innerHTML = getFsmVisorRows().map(([k, v]) =>
+        `<div class="module-visor-row"><span class="module-visor-k">${k}</span><code class="module-visor-v">${escapeHtml(v)}</code></div>`
+    ).join('');
 }
 
 function setupBusTooltips() {
@@ -709,9 +840,10 @@ function getBusValue(busId, stepResultOverride = null) {
     const pc_before = sr.pc_before;
 
     // Salida del MUX de write-back (dato que “viaja” por el bus a RegFile), aun si RegWrite=0
-    const wb_bus = (decoded?.opcode === 0x03 && ctrl?.alu2reg)
+    let wb_bus = (decoded?.opcode === 0x03 && ctrl?.alu2reg)
         ? (mem_data ?? null)
         : (alu_res ?? null);
+    if (ctrl?.pc2reg) wb_bus = (pc_before + 4) >>> 0; // JAL/JALR: enlace PC+4
 
     // Selector del mux-imm: 1 cuando la instrucción es STORE (instr[11:7] son imm[4:0])
     // y 0 cuando se usa como RD (I/R/Load/etc). En este simulador, STORE => ctrl.wem.
@@ -753,7 +885,7 @@ function getBusValue(busId, stepResultOverride = null) {
         'path92': { label: 'RD field (instr[11:7])', value: (instr >>> 7) & 0x1f, src: 'instr[11:7]' },
         
         // ALU
-        'path81': { label: 'ALU Input A', value: rs1_val, src: 'rs1_val' },
+        'path81': { label: 'ALU Input A', value: sr.alu_a ?? rs1_val, src: 'alu_a (rs1 | PC | 0)' },
         'path3': { label: 'ALU Input B', value: sr.alu_b, src: 'alu_b' },
         'path78': { label: 'ALU Result', value: alu_res, src: 'alu_res' },
         'alu-reg(0)': { label: 'ALU → Registers', value: alu_res, src: 'alu_res' },
@@ -765,10 +897,10 @@ function getBusValue(busId, stepResultOverride = null) {
         'path86': { label: 'Memory → MUX', value: mem_data, src: 'mem_data' },
         
         // Write-back
-        'path91': { label: 'WB Bus → Register File', value: (wb_bus ?? sr.wb_val), src: 'wb_bus (alu2reg ? mem_data : alu_res)' },
+        'path91': { label: 'WB Bus → Register File', value: (wb_bus ?? sr.wb_val), src: 'wb_bus (pc2reg ? PC+4 : alu2reg ? mem_data : alu_res)' },
 
         // Señales de control (paths con id directo)
-        'alu-op': { label: 'ALUOp (4-bit)', value: (ctrl?.alu_op ?? 0) & 0xf, src: 'ctrl.alu_op & 0xF' },
+        'alu-op': { label: 'ALUOp (5-bit)', value: (ctrl?.alu_op ?? 0) & 0x1f, src: 'ctrl.alu_op & 0x1F' },
         'alu-src': { label: 'ALUSrc (sel)', value: (ctrl?.alu_src ?? 0) ? 1 : 0, src: 'ctrl.alu_src' },
         'alu2reg': { label: 'ALU2Reg (sel)', value: (ctrl?.alu2reg ?? 0) ? 1 : 0, src: 'ctrl.alu2reg' },
         'wem': { label: 'MemWrite (WEM)', value: (ctrl?.wem ?? 0) ? 1 : 0, src: 'ctrl.wem' },
@@ -865,6 +997,17 @@ function setupSpeedControl() {
     });
 }
 
+function setupAsmViewToggle() {
+    document.querySelectorAll('[data-asm-view]').forEach(btn => {
+        const option = btn.dataset.asmView;
+        btn.addEventListener('click', () => {
+            asmView[option] = !asmView[option];
+            btn.classList.toggle('active', asmView[option]);
+            updateUI(lastStepResult);
+        });
+    });
+}
+
 function setupFormatSelector() {
     const toggleGroup = document.getElementById('format-toggle');
     
@@ -880,28 +1023,32 @@ function setupFormatSelector() {
             return;
         }
         
-        const btn = e.target;
-        const format = btn.dataset.format;
-        
         // Prevenir comportamiento por defecto
         e.preventDefault();
         e.stopPropagation();
-        
-        // Actualizar estado visual
-        const allBtns = toggleGroup.querySelectorAll('.format-toggle-btn');
-        allBtns.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        
-        // Actualizar formato global
-        displayFormat = format;
-        
-        // Re-renderizar valores
-        if (currentDecoded) {
-            updateFormatTableValues(currentDecoded);
-        }
+
+        setDisplayFormat(e.target.dataset.format);
     }, true); // Capture phase para asegurar que se dispare
 }
 
+function setDisplayFormat(format) {
+    const toggleGroup = document.getElementById('format-toggle');
+    const btn = toggleGroup?.querySelector(`.format-toggle-btn[data-format="${format}"]`);
+    if (!btn) return;
+
+    // Actualizar estado visual
+    toggleGroup.querySelectorAll('.format-toggle-btn').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+
+    // Actualizar formato global
+    displayFormat = format;
+
+    // Re-renderizar valores
+    if (currentDecoded) {
+        updateFormatTableValues(currentDecoded);
+    }
+}
+
 /* ============================================================
    TOGGLE SIDEBAR
 ============================================================ */
@@ -919,82 +1066,1301 @@ function toggleSidebar() {
 }
 
 /* ============================================================
-   STEP
+   STEP
+============================================================ */
+let isStepInProgress = false;
+
+// Controla el ritmo visual de las animaciones por etapa.
+// "Step" debe ser MUY lento para observar el flujo.
+let visualStageDelayMs = 400;
+
+function escapeSvgId(id) {
+    if (window.CSS && typeof CSS.escape === 'function') return CSS.escape(id);
+    return String(id).replace(/[^a-zA-Z0-9_-]/g, (m) => `\\${m}`);
+}
+
+async function handleStep() {
+    if (isStepInProgress || isFastRunning) return;
+    isStepInProgress = true;
+
+    visualStageDelayMs = 1800;
+    let result = null;
+    try {
+        result = await stepCpu(visualStageDelayMs);
+    } catch (err) {
+        // Access fault u otra excepción del procesador: el CPU queda detenido
+        console.error(err);
+        showToast(err.message, "error");
+        updateUI();
+    }
+    if (result) {
+        // Almacenar resultado para tooltips
+        lastStepResult = result;
+        updateUI(result);
+    } else if (isClockedModel()) {
+        updateUI(); // Ciclo sin instrucción terminada (burbuja en WB o instrucción a medias)
+    }
+    
+    isStepInProgress = false;
+}
+
+// Un paso del modelo activo: la instrucción completa animada etapa por etapa
+// (monociclo) o un ciclo de reloj (pipeline y multiciclo, sin animación por etapa:
+// el ritmo lo marca quien llama)
+function stepCpu(stageDelay) {
+    if (isClockedModel()) return cpu.stepWithStageDelay(null, 0);
+    return cpu.stepWithStageDelay(updateStageIndicator, stageDelay);
+}
+
+/* ============================================================
+   STEP BACK / HISTORIAL
+============================================================ */
+function handleStepBack() {
+    if (isStepInProgress || isRunning || isFastRunning) return;
+    if (!cpu.stepBack()) {
+        showToast("No hay pasos anteriores en el historial", "info");
+        return;
+    }
+    clearReferenceProgress();
+    showHistoryState();
+}
+
+function setupTimeline() {
+    const slider = document.getElementById('timeline-slider');
+    if (!slider) return;
+
+    slider.addEventListener('input', () => {
+        if (isStepInProgress || isRunning || isFastRunning) {
+            updateTimeline();
+            return;
+        }
+        cpu.seekHistory(Number(slider.value));
+        showHistoryState();
+    });
+}
+
+// Reconstruye la vista (registros, memoria, datapath) para la posición actual del historial
+function showHistoryState() {
+    const last = cpu.history[cpu.historyPos - 1];
+    lastStepResult = last?.result ?? null;
+    lastDecoded = lastStepResult?.decoded ?? null;
+
+    document.querySelectorAll('.stage-pill').forEach(el => el.classList.remove('active'));
+    if (lastStepResult) {
+        // Mismo estado visual que al terminar ese paso (etapa WB)
+        illuminateDatapathComponents(Stage.WB);
+    } else {
+        document.querySelectorAll('#datapath-container svg .active').forEach(el => el.classList.remove('active'));
+    }
+    updateUI(lastStepResult);
+}
+
+function updateTimeline() {
+    const slider = document.getElementById('timeline-slider');
+    const value = document.getElementById('timeline-value');
+    if (slider) {
+        slider.max = cpu.history.length;
+        slider.value = cpu.historyPos;
+    }
+    if (value) value.textContent = `${cpu.historyPos} / ${cpu.history.length}`;
+}
+
+/* ============================================================
+   RUN / PAUSE
+============================================================ */
+let isRunning = false;
+
+async function handleRun(e) {
+    const btn = e.target.closest('button');
+    const span = btn.querySelector('span');
+
+    if (isRunning) {
+        isRunning = false;
+        span.textContent = "Run";
+        btn.classList.remove("active");
+        return;
+    }
+    if (isFastRunning) return;
+
+    btn.classList.add("active");
+    span.textContent = "Pause";
+    isRunning = true;
+
+    async function runLoop() {
+        // La instrucción inicial se ejecuta aunque tenga breakpoint (reanudar)
+        let resuming = true;
+        while (isRunning && !cpu.state.halted) {
+            if (!resuming && cpu.atBreakpoint()) {
+                isRunning = false;
+                notifyBreakpointHit();
+                break;
+            }
+            resuming = false;
+
+            const stageDelay = Math.min(executionDelay / 5, 300);
+            visualStageDelayMs = stageDelay;
+            let result = null;
+            try {
+                result = await stepCpu(stageDelay);
+            } catch (err) {
+                console.error(err);
+                showToast(err.message, "error");
+                updateUI();
+                break;
+            }
+            if (result) {
+                lastStepResult = result;
+
+                updateUI(result);
+            } else if (isClockedModel()) {
+                updateUI();
+            }
+            await new Promise(resolve => setTimeout(resolve, executionDelay / 5));
+        }
+
+        if (cpu.state.halted || !isRunning) {
+            isRunning = false;
+            btn.classList.remove("active");
+            span.textContent = "Run";
+        }
+    }
+    
+    runLoop();
+}
+
+/* ============================================================
+   BREAKPOINTS
+============================================================ */
+const BREAKPOINTS_STORAGE_KEY = 'riscv-sim:breakpoints';
+const lineBreakpoints = new Set(); // Líneas del editor (desde 1)
+const addressBreakpoints = new Set(); // Direcciones introducidas a mano
+
+function setupBreakpoints() {
+    loadBreakpoints();
+
+    const gutter = document.getElementById('editor-gutter');
+    if (gutter) {
+        gutter.addEventListener('click', (e) => {
+            const lineEl = e.target.closest('.gutter-line');
+            if (lineEl) toggleLineBreakpoint(Number(lineEl.dataset.line));
+        });
+    }
+
+    const input = document.getElementById('breakpoint-address');
+    if (input) {
+        input.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            const raw = input.value.trim();
+            const addr = /^0x/i.test(raw) ? parseInt(raw, 16) : parseInt(raw, 10);
+            if (Number.isNaN(addr) || addr % 4 !== 0 || cpu.segmentOf(addr) !== Segment.TEXT) {
+                showToast(`Dirección de breakpoint inválida: ${raw} (debe estar alineada y en .text)`, "error");
+                return;
+            }
+            addressBreakpoints.add(addr >>> 0);
+            input.value = '';
+            breakpointsChanged();
+        });
+    }
+
+    const list = document.getElementById('breakpoint-list');
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-kind]');
+            if (!btn) return;
+            const value = Number(btn.dataset.value);
+            if (btn.dataset.kind === 'line') lineBreakpoints.delete(value);
+            else addressBreakpoints.delete(value);
+            breakpointsChanged();
+        });
+    }
+
+    const clear = document.getElementById('btn-clear-breakpoints');
+    if (clear) {
+        clear.addEventListener('click', () => {
+            lineBreakpoints.clear();
+            addressBreakpoints.clear();
+            breakpointsChanged();
+        });
+    }
+
+    syncBreakpoints();
+}
+
+function toggleLineBreakpoint(line) {
+    if (!lineBreakpoints.delete(line)) lineBreakpoints.add(line);
+    breakpointsChanged();
+}
+
+function breakpointsChanged() {
+    saveBreakpoints();
+    syncBreakpoints();
+}
+
+// Traduce los breakpoints de línea con el mapa fuente del programa cargado
+// (primera instrucción de la línea) y los pasa al procesador
+function syncBreakpoints() {
+    cpu.clearBreakpoints();
+    for (const addr of addressBreakpoints) cpu.addBreakpoint(addr);
+    for (const line of lineBreakpoints) {
+        const [addr] = cpu.addressesOfLine(line);
+        if (addr !== undefined) cpu.addBreakpoint(addr);
+    }
+    renderBreakpointList();
+    renderProgramEditor();
+}
+
+function renderBreakpointList() {
+    const list = document.getElementById('breakpoint-list');
+    if (!list) return;
+
+    const lines = [...lineBreakpoints].sort((a, b) => a - b).map(line => {
+        const [addr] = cpu.addressesOfLine(line);
+        const label = addr !== undefined ? `L${line} · ${formatMemAddr(addr)}` : `L${line}`;
+        return `<li class="${addr === undefined ? 'inactive' : ''}">${label}` +
+            `<button data-kind="line" data-value="${line}" title="Quitar">×</button></li>`;
+    });
+    const addrs = [...addressBreakpoints].sort((a, b) => a - b).map(addr =>
+        `<li>${formatMemAddr(addr)}<button data-kind="addr" data-value="${addr}" title="Quitar">×</button></li>`
+    );
+    list.innerHTML = lines.concat(addrs).join('');
+}
+
+// Los breakpoints sobreviven a Reset (viven en el procesador) y a recargar la página
+function saveBreakpoints() {
+    try {
+        localStorage.setItem(BREAKPOINTS_STORAGE_KEY, JSON.stringify({
+            lines: [...lineBreakpoints],
+            addresses: [...addressBreakpoints],
+        }));
+    } catch (err) {
+        console.warn('No se pudieron guardar los breakpoints:', err);
+    }
+}
+
+function loadBreakpoints() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(BREAKPOINTS_STORAGE_KEY) || 'null');
+        if (!saved) return;
+        (saved.lines || []).forEach(l => Number.isInteger(l) && l > 0 && lineBreakpoints.add(l));
+        (saved.addresses || []).forEach(a => Number.isInteger(a) && addressBreakpoints.add(a >>> 0));
+    } catch (err) {
+        console.warn('No se pudieron leer los breakpoints guardados:', err);
+    }
+}
+
+function notifyBreakpointHit() {
+    // En pipeline el PC es el del fetch; la instrucción parada es la que va a retirarse
+    const pc = cpu.resumePc();
+    const line = cpu.sourceLineAt(pc);
+    showToast(`Breakpoint en ${toHex32(pc)}${line ? ` (línea ${line})` : ''}`, "info");
+}
+
+/* ============================================================
+   RUN TO END (sin animaciones)
+============================================================ */
+const FAST_RUN_BATCH = 2000; // Pasos entre cesiones al event loop
+const FAST_RUN_REFRESH_MS = 250; // Refresco máximo de registros/memoria durante la ejecución
+let instructionBudget = 1000000;
+let isFastRunning = false;
+let fastRunCancelled = false; // Reset, carga o cambio de modelo: la ejecución ya no cuenta
+
+// Detiene Run to end sin aviso: la máquina se reinicia o se sustituye
+function cancelFastRun() {
+    if (isFastRunning) fastRunCancelled = true;
+    isFastRunning = false;
+}
+
+function setupInstructionBudget() {
+    const input = document.getElementById('instruction-budget');
+    if (!input) return;
+
+    input.value = instructionBudget;
+    input.addEventListener('change', () => {
+        const n = parseInt(input.value, 10);
+        if (!Number.isInteger(n) || n < 1) {
+            input.value = instructionBudget;
+            showToast("El límite de instrucciones debe ser un entero positivo", "error");
+            return;
+        }
+        instructionBudget = n;
+    });
+}
+
+async function handleRunToEnd() {
+    // Un segundo clic detiene la ejecución
+    if (isFastRunning) {
+        isFastRunning = false;
+        return;
+    }
+    if (isRunning || isStepInProgress || cpu.state.halted) return;
+
+    isFastRunning = true;
+    fastRunCancelled = false;
+    setFastRunButton(true);
+
+    // El límite y la cuenta son instrucciones retiradas en todos los modelos (en
+    // pipeline y multiciclo un paso es un ciclo y retira como mucho una, así que un
+    // lote de tantos pasos como instrucciones quedan nunca se pasa del límite)
+    const retiredBefore = cpu.profile.total;
+    let executed = 0;
+    let resume = true;
+    let reason = "halt";
+    let lastRefresh = performance.now();
+    try {
+        while (isFastRunning) {
+            const batch = Math.min(FAST_RUN_BATCH, instructionBudget - executed);
+            if (batch <= 0) {
+                reason = "limit";
+                break;
+            }
+            const r = cpu.run(batch, { resume });
+            resume = false;
+            executed = cpu.profile.total - retiredBefore;
+            if (r.reason !== "limit") {
+                reason = r.reason;
+                break;
+            }
+            if (referenceTrace && compareWithReference().divergence) {
+                reason = "diverged";
+                break;
+            }
+
+            if (performance.now() - lastRefresh >= FAST_RUN_REFRESH_MS) {
+                showFastRunState();
+                lastRefresh = performance.now();
+            }
+            // Ceder al event loop para que la página siga respondiendo
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        if (!isFastRunning) reason = "stopped";
+    } catch (err) {
+        reason = "fault";
+        console.error(err);
+        showToast(err.message, "error");
+    }
+
+    isFastRunning = false;
+    setFastRunButton(false);
+    showFastRunState();
+    // La máquina se reinició o se sustituyó durante la ejecución: no hay nada que avisar
+    if (fastRunCancelled) return;
+
+    const pc = cpu.state.pc >>> 0;
+    const line = cpu.sourceLineAt(pc);
+    const where = `${toHex32(pc)}${line ? ` (línea ${line})` : ''}`;
+    // "diverged" lo notifica la comparación con la referencia al refrescar la traza
+    if (reason === "limit") {
+        showToast(`Se alcanzó el límite de ${instructionBudget} instrucciones en ${where}: posible bucle infinito`, "error");
+    } else if (reason === "breakpoint") {
+        notifyBreakpointHit();
+    } else if (reason === "stopped") {
+        showToast(`Ejecución detenida en ${where} tras ${executed} instrucciones`, "info");
+    } else if (reason === "halt") {
+        showToast(`Programa terminado: ${executed} instrucciones ejecutadas`, "success");
+    }
+}
+
+// Muestra el estado tras el último paso ejecutado (sin animaciones de etapa)
+function showFastRunState() {
+    lastStepResult = cpu.history[cpu.historyPos - 1]?.result ?? lastStepResult;
+    updateUI(lastStepResult);
+}
+
+function setFastRunButton(running) {
+    const btn = document.getElementById('btn-run-fast');
+    if (!btn) return;
+    btn.classList.toggle('active', running);
+    btn.querySelector('span').textContent = running ? "Stop" : "Run to end";
+}
+
+/* ============================================================
+   TRAZA DE EJECUCIÓN
+============================================================ */
+const TRACE_VIEW_ROWS = 200; // Filas visibles en el panel (la exportación incluye todas)
+
+function renderTrace() {
+    const body = document.getElementById('trace-body');
+    const count = document.getElementById('trace-count');
+    const container = document.getElementById('trace-container');
+    if (!body) return;
+
+    const total = cpu.historyPos;
+    const entries = collectTrace(cpu, total - TRACE_VIEW_ROWS);
+    if (count) count.textContent = `${cpu.profile.total} instrucciones`;
+    const divergence = compareWithReference()?.divergence;
+
+    // Pasos que no caben en el panel (siguen en el historial y se exportan) e
+    // instrucciones que ya salieron del historial (no se pueden exportar)
+    const hidden = total - TRACE_VIEW_ROWS;
+    const notes = [];
+    if (cpu.retiredBeforeHistory > 0) notes.push(`${cpu.retiredBeforeHistory} instrucciones fuera del historial (no se exportan)`);
+    if (hidden > 0) notes.push(`${hidden} pasos anteriores (incluidos al exportar)`);
+    const more = notes.length
+        ? `<tr class="trace-more"><td colspan="5">… ${notes.join('; ')}</td></tr>`
+        : '';
+
+    body.innerHTML = more + entries.map(e => {
+        const write = e.rd !== null ? `x${e.rd} ← ${toHex32(e.rd_val)}` : '';
+        let mem = '';
+        if (e.mem?.op === 'store') mem = `M[${toHex32(e.mem.addr)}] ← ${toHex32(e.mem.value)}`;
+        if (e.mem?.op === 'load') mem = `M[${toHex32(e.mem.addr)}] → ${toHex32(e.mem.value)}`;
+        const diverged = divergence && divergence.cycle === e.cycle;
+        return `<tr${diverged ? ' class="trace-diverged"' : ''}>
+            <td>${e.cycle}</td>
+            <td>${toHex32(e.pc)}</td>
+            <td class="trace-asm">${escapeHtml(disassembleRV32I(e.instr, e.pc, asmView))}</td>
+            <td>${write}</td>
+            <td>${mem}</td>
+        </tr>`;
+    }).join('');
+
+    // Mantener visible la última instrucción
+    if (container) container.scrollTop = container.scrollHeight;
+    renderReferenceStatus();
+}
+
+function setupTraceExport() {
+    const disasm = (instr, pc) => disassembleRV32I(instr, pc);
+    const exporters = {
+        'btn-trace-csv': () => downloadText('traza.csv', traceToCSV(collectTrace(cpu), disasm), 'text/csv'),
+        'btn-trace-json': () => downloadText('traza.json', traceToJSON(collectTrace(cpu), disasm), 'application/json'),
+        'btn-trace-spike': () => downloadText('traza.log', traceToSpikeLog(collectTrace(cpu)), 'text/plain'),
+    };
+    for (const [id, exportTrace] of Object.entries(exporters)) {
+        const btn = document.getElementById(id);
+        if (!btn) continue;
+        btn.addEventListener('click', () => {
+            if (!cpu.historyPos) {
+                showToast("La traza está vacía: ejecuta el programa primero", "info");
+                return;
+            }
+            exportTrace();
+            if (cpu.retiredBeforeHistory > 0) {
+                showToast(`Traza incompleta: las primeras ${cpu.retiredBeforeHistory} instrucciones ya no están en el historial`, "info");
+            }
+        });
+    }
+}
+
+/* ============================================================
+   COMPARACIÓN CON TRAZA DE REFERENCIA
+============================================================ */
+let referenceTrace = null; // Entradas normalizadas de parseReferenceTrace
+let referenceName = '';
+let referenceResult = null; // Último resultado de compareTrace
+let reportedDivergence = null; // Ciclo de la divergencia ya notificada
+// Hasta dónde se comparó, para comparar sólo los pasos nuevos: { cpu, step (pasos
+// absolutos, ver cpu.stepsBeforeHistory), offset (entradas de traza ya comparadas), result }
+let referenceProgress = null;
+
+function clearReferenceProgress() {
+    referenceProgress = null;
+}
+
+function setupReferenceTrace() {
+    const btn = document.getElementById('btn-trace-reference');
+    const input = document.getElementById('trace-reference-file');
+    const clear = document.getElementById('btn-trace-reference-clear');
+    if (!btn || !input) return;
+
+    btn.addEventListener('click', () => input.click());
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+        try {
+            referenceTrace = parseReferenceTrace(await file.text());
+            referenceName = file.name;
+            reportedDivergence = null;
+            clearReferenceProgress();
+            showToast(`Referencia cargada: ${referenceTrace.length} instrucciones`, "success");
+        } catch (err) {
+            showToast(`No se pudo leer la referencia: ${err.message}`, "error");
+        }
+        renderTrace();
+    });
+    clear?.addEventListener('click', () => {
+        referenceTrace = null;
+        referenceResult = null;
+        reportedDivergence = null;
+        clearReferenceProgress();
+        renderTrace();
+    });
+}
+
+// Compara con la referencia la traza hasta la posición actual; null si no hay
+// referencia. Sólo se recorren los pasos posteriores a la última comparación.
+function compareWithReference() {
+    if (!referenceTrace) return referenceResult = null;
+
+    const step = cpu.stepsBeforeHistory + cpu.historyPos;
+    let progress = referenceProgress;
+    // Desde el principio del historial tras reset, carga, retroceso o cambio de modelo,
+    // o si los pasos pendientes ya se descartaron del historial
+    if (!progress || progress.cpu !== cpu || step < progress.step || progress.step < cpu.stepsBeforeHistory) {
+        progress = referenceProgress = {
+            cpu,
+            step: cpu.stepsBeforeHistory,
+            offset: cpu.retiredBeforeHistory,
+            result: { compared: 0, divergence: null, referenceEnded: false },
+        };
+    }
+    // La primera divergencia (o el final de la referencia) ya no cambia al avanzar
+    if (step > progress.step && !progress.result.divergence && !progress.result.referenceEnded) {
+        const entries = collectTrace(cpu, progress.step - cpu.stepsBeforeHistory);
+        const r = compareTrace(entries, referenceTrace, { entryPc: cpu.layout.text, offset: progress.offset });
+        progress.result = { ...r, compared: progress.result.compared + r.compared };
+        progress.offset += entries.length;
+        progress.step = step;
+    }
+    return referenceResult = progress.result;
+}
+
+function renderReferenceStatus() {
+    const box = document.getElementById('trace-compare');
+    const status = document.getElementById('trace-compare-status');
+    if (!box || !status) return;
+
+    box.hidden = !referenceTrace;
+    box.classList.remove('match', 'diverged');
+    if (!referenceTrace) return;
+
+    const r = referenceResult;
+    const d = r.divergence;
+    if (d) {
+        const line = cpu.sourceLineAt(d.pc);
+        const field = { pc: 'PC', rd: 'registro destino', mem: 'escritura en memoria' }[d.field];
+        status.textContent = `${referenceName}: diverge en el ciclo ${d.cycle}, ${toHex32(d.pc)}` +
+            `${line ? ` (línea ${line})` : ''} — ${field}: esperado ${d.expected}, obtenido ${d.actual}`;
+        box.classList.add('diverged');
+        notifyDivergence(d, line);
+        return;
+    }
+
+    reportedDivergence = null;
+    status.textContent = r.referenceEnded
+        ? `${referenceName}: ${r.compared} instrucciones coinciden; la referencia termina aquí`
+        : `${referenceName}: ${r.compared} de ${referenceTrace.length} instrucciones coinciden`;
+    box.classList.add('match');
+}
+
+// Avisa una sola vez por divergencia y detiene Run
+function notifyDivergence(d, line) {
+    if (reportedDivergence === d.cycle) return;
+    reportedDivergence = d.cycle;
+    isRunning = false;
+    showToast(`Divergencia con la referencia en el ciclo ${d.cycle}${line ? ` (línea ${line})` : ''}`, "error");
+}
+
+function downloadText(filename, text, type = 'text/plain') {
+    downloadBlob(filename, new Blob([text], { type }));
+}
+
+function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
+/* ============================================================
+   PERFIL DE EJECUCIÓN
+============================================================ */
+const PROFILE_VIEW_ROWS = 50; // Direcciones más ejecutadas que muestra la tabla
+let showHeatmap = false;
+
+function setupProfile() {
+    const btn = document.getElementById('btn-profile-heatmap');
+    if (!btn) return;
+    btn.addEventListener('click', () => {
+        showHeatmap = !showHeatmap;
+        btn.classList.toggle('active', showHeatmap);
+        renderEditorHighlights();
+    });
+}
+
+function renderProfile() {
+    const body = document.getElementById('profile-body');
+    const mixEl = document.getElementById('profile-mix');
+    const count = document.getElementById('profile-count');
+    if (!body || !mixEl) return;
+
+    const profile = cpu.profile;
+    const total = profile.total;
+    if (count) count.textContent = `${total} instrucciones`;
+
+    // Mezcla de instrucciones: formatos y, aparte, cargas y almacenamientos
+    const percent = (n) => total ? (100 * n / total).toFixed(1) : '0.0';
+    const mix = [
+        ...INSTRUCTION_FORMATS.map(f => [`${f}-type`, profile.mix[f]]),
+        ['Loads', profile.loads],
+        ['Stores', profile.stores],
+    ];
+    mixEl.innerHTML = mix.map(([label, n]) => `
+        <div class="profile-mix-row">
+            <span class="profile-mix-label">${label}</span>
+            <span class="profile-mix-bar"><span style="width: ${percent(n)}%"></span></span>
+            <span class="profile-mix-value">${n} · ${percent(n)}%</span>
+        </div>`).join('');
+
+    const rows = profile.hotspots(PROFILE_VIEW_ROWS);
+    if (!rows.length) {
+        body.innerHTML = '<tr class="profile-empty"><td colspan="5">Ejecuta el programa para ver el perfil</td></tr>';
+        return;
+    }
+    body.innerHTML = rows.map(({ pc, count: n, branch }) => {
+        const line = cpu.sourceLineAt(pc);
+        const instr = peekWord(pc);
+        const asm = instr == null ? '--' : disassembleRV32I(instr, pc, asmView);
+        const taken = branch
+            ? `${branch.taken} / ${branch.notTaken} (${(100 * branch.taken / (branch.taken + branch.notTaken)).toFixed(0)}% T)`
+            : '';
+        return `<tr>
+            <td>${line ?? ''}</td>
+            <td>${toHex32(pc)}</td>
+            <td class="trace-asm">${escapeHtml(asm)}</td>
+            <td>${n} · ${percent(n)}%</td>
+            <td>${taken}</td>
+        </tr>`;
+    }).join('');
+}
+
+/* ============================================================
+   ESTADÍSTICAS DE RENDIMIENTO
+============================================================ */
+const CLASS_LABELS = {
+    alu: 'ALU',
+    mul: 'M (mul/div)',
+    load: 'Load',
+    store: 'Store',
+    branch: 'Branch',
+    jump: 'Jump',
+    upper: 'LUI/AUIPC',
+};
+
+function renderStats() {
+    const breakdown = document.getElementById('stats-breakdown');
+    if (!breakdown) return;
+
+    const stats = performanceStats(cpu.profile, cpu.state.cycle);
+    const set = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+    set('stat-retired', stats.retired);
+    set('stat-cycles', stats.cycles);
+    set('stat-cpi', stats.cpi === null ? '--' : stats.cpi.toFixed(2));
+    set('stat-loads', `${stats.loads} (${stats.bytesRead} B)`);
+    set('stat-stores', `${stats.stores} (${stats.bytesWritten} B)`);
+    set('stat-taken', stats.takenRatio === null
+        ? '--'
+        : `${stats.branchesTaken}/${stats.branches} (${(100 * stats.takenRatio).toFixed(0)}%)`);
+
+    // Riesgos del pipeline: ciclos de stall (de ellos, por load-use) y burbujas de flush
+    const hazards = cpu.model === 'pipeline' ? cpu.hazardStats : null;
+    set('stat-stalls', hazards ? `${hazards.stalls} (load-use ${hazards.loadUseStalls})` : '--');
+    set('stat-flushes', hazards ? hazards.flushes : '--');
+
+    const percent = (n) => stats.retired ? (100 * n / stats.retired).toFixed(1) : '0.0';
+    // En multiciclo cada clase tarda un número fijo de ciclos: se muestran los que suma
+    const cycles = (c) => cpu.model === 'multicycle'
+        ? ` · ${stats.classes[c] * MULTICYCLE_CYCLES[c]} ciclos (×${MULTICYCLE_CYCLES[c]})`
+        : '';
+    breakdown.innerHTML = INSTRUCTION_CLASSES.map(c => `
+        <div class="profile-mix-row">
+            <span class="profile-mix-label">${CLASS_LABELS[c]}</span>
+            <span class="profile-mix-bar"><span style="width: ${percent(stats.classes[c])}%"></span></span>
+            <span class="profile-mix-value">${stats.classes[c]} · ${percent(stats.classes[c])}%${cycles(c)}</span>
+        </div>`).join('');
+}
+
+/* ============================================================
+   DIAGRAMA DE TIEMPOS DEL PIPELINE
+============================================================ */
+const TIMING_VIEW_ROWS = 40; // Instrucciones visibles en el panel (la exportación incluye todas)
+const TIMING_PNG_SCALE = 2;
+const TIMING_PNG_MAX_SIDE = 32767; // Lado máximo de un canvas en los navegadores
+
+function setupTimingDiagram() {
+    const container = document.getElementById('timing-diagram');
+    container?.addEventListener('click', (e) => {
+        const cell = e.target.closest('[data-cycle]');
+        if (cell) jumpToCycle(Number(cell.dataset.cycle));
+    });
+
+    document.getElementById('btn-timing-svg')?.addEventListener('click', () => {
+        const svg = timingSVG();
+        if (svg) downloadText('pipeline.svg', svg, 'image/svg+xml');
+    });
+    document.getElementById('btn-timing-png')?.addEventListener('click', () => {
+        const svg = timingSVG();
+        if (svg) downloadTimingPNG(svg);
+    });
+}
+
+function timingSVG() {
+    if (cpu.model !== 'pipeline' || !cpu.history.length) {
+        showToast("El diagrama está vacío: ejecuta el programa en el modelo pipeline", "info");
+        return null;
+    }
+    // Todo el historial conservado, no sólo la ventana del panel
+    return timelineToSVG(pipelineTimeline(cpu), (instr, pc) => disassembleRV32I(instr, pc, asmView));
+}
+
+// Rasteriza el SVG (con sus estilos incluidos) en un canvas
+function downloadTimingPNG(svg) {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const img = new Image();
+    img.onload = () => {
+        // Programas largos: se reduce la escala hasta 1 y, si aún no cabe, sólo queda el SVG
+        const scale = Math.min(TIMING_PNG_SCALE, TIMING_PNG_MAX_SIDE / img.width, TIMING_PNG_MAX_SIDE / img.height);
+        if (scale < 1) {
+            URL.revokeObjectURL(url);
+            showToast("El diagrama es demasiado grande para PNG: expórtalo como SVG", "error");
+            return;
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(img.width * scale);
+        canvas.height = Math.floor(img.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.drawImage(img, 0, 0);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => {
+            if (blob) downloadBlob('pipeline.png', blob);
+            else showToast("No se pudo generar el PNG", "error");
+        }, 'image/png');
+    };
+    img.onerror = () => {
+        URL.revokeObjectURL(url);
+        showToast("No se pudo generar el PNG", "error");
+    };
+    img.src = url;
+}
+
+// Lleva registros, memoria y datapath al final del ciclo indicado (1 = primero)
+function jumpToCycle(cycle) {
+    if (isRunning || isFastRunning || isStepInProgress) {
+        showToast("Detén la ejecución para saltar a otro ciclo", "info");
+        return;
+    }
+    const index = cpu.history.findIndex(d => d.cycle + 1 === cycle);
+    if (index < 0) return;
+    cpu.seekHistory(index + 1);
+    showHistoryState();
+}
+
+function renderTimingDiagram() {
+    const container = document.getElementById('timing-diagram');
+    if (!container) return;
+
+    if (cpu.model !== 'pipeline') {
+        container.innerHTML = '<div class="timing-empty">Disponible en el modelo pipeline</div>';
+        return;
+    }
+    if (!cpu.history.length) {
+        container.innerHTML = '<div class="timing-empty">Ejecuta el programa para ver el diagrama</div>';
+        return;
+    }
+
+    const timeline = pipelineTimeline(cpu, { maxRows: TIMING_VIEW_ROWS });
+    container.innerHTML = timelineToSVG(timeline, (instr, pc) => disassembleRV32I(instr, pc, asmView));
+
+    // Mantener visible la columna del ciclo actual
+    const current = container.querySelector('.tl-current');
+    if (current) {
+        const x = Number(current.getAttribute('x'));
+        if (x < container.scrollLeft || x > container.scrollLeft + container.clientWidth - 60) {
+            container.scrollLeft = Math.max(0, x - container.clientWidth / 2);
+        }
+    }
+    container.scrollTop = container.scrollHeight;
+}
+
+/* ============================================================
+   PREDICCIÓN DE SALTOS
+============================================================ */
+const BHT_STATE_LABELS = {
+    '1bit': ['NT', 'T'],
+    '2bit': ['NT fuerte', 'NT débil', 'T débil', 'T fuerte'],
+};
+
+function setupPredictor() {
+    for (const id of ['predictor-kind', 'predictor-bht', 'predictor-btb']) {
+        document.getElementById(id)?.addEventListener('change', () => {
+            if (isStepInProgress) {
+                setPredictorSettings(cpu.predictor?.config ?? predictorSettings());
+                showToast("Espera a que termine el paso en curso", "info");
+                return;
+            }
+            // Cambiar el predictor reinicia la máquina: las tablas empiezan vacías
+            if (cpu.model === 'pipeline') {
+                isRunning = false;
+                cancelFastRun();
+                cpu.setPredictor(predictorSettings());
+                handleReset();
+                showToast("Predictor cambiado: máquina reiniciada", "info");
+            }
+            scheduleSessionSave();
+        });
+    }
+}
+
+function predictorSettings() {
+    const kind = document.getElementById('predictor-kind');
+    const bht = document.getElementById('predictor-bht');
+    const btb = document.getElementById('predictor-btb');
+    return {
+        kind: kind ? kind.value : 'not-taken',
+        bhtSize: bht ? Number(bht.value) : 16,
+        btbSize: btb ? Number(btb.value) : 0,
+    };
+}
+
+// Ajusta los selectores (valores no ofrecidos se ignoran) y el predictor del pipeline
+function setPredictorSettings({ kind, bhtSize, btbSize }) {
+    const set = (id, value) => {
+        const select = document.getElementById(id);
+        if (select && [...select.options].some(o => o.value === String(value))) select.value = String(value);
+    };
+    set('predictor-kind', kind);
+    set('predictor-bht', bhtSize);
+    set('predictor-btb', btbSize);
+    if (cpu.model === 'pipeline') cpu.setPredictor(predictorSettings());
+}
+
+function renderPredictor() {
+    const body = document.getElementById('predictor-body');
+    if (!body) return;
+
+    const set = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+    const predictor = cpu.model === 'pipeline' ? cpu.predictor : null;
+    document.querySelectorAll('.predictor-control select').forEach(el => { el.disabled = !predictor; });
+    if (!predictor) {
+        ['pred-accuracy', 'pred-mispredicts', 'pred-penalty', 'pred-cpi'].forEach(id => set(id, '--'));
+        body.innerHTML = '<tr class="profile-empty"><td colspan="5">Disponible en el modelo pipeline</td></tr>';
+        return;
+    }
+
+    const accuracy = predictor.accuracy;
+    set('pred-accuracy', accuracy === null ? '--' : `${(100 * accuracy).toFixed(1)}%`);
+    set('pred-mispredicts', `${predictor.mispredictions} / ${predictor.predictions}`);
+    set('pred-penalty', `${predictor.penaltyCycles} ciclos`);
+    const stats = performanceStats(cpu.profile, cpu.state.cycle);
+    set('pred-cpi', stats.cpi === null ? '--' : stats.cpi.toFixed(2));
+
+    const rows = predictor.rows();
+    if (!rows.length) {
+        body.innerHTML = '<tr class="profile-empty"><td colspan="5">Ejecuta el programa para ver las predicciones</td></tr>';
+        return;
+    }
+    body.innerHTML = rows.map(row => {
+        const instr = peekWord(row.pc);
+        const asm = instr == null ? '--' : disassembleRV32I(instr, row.pc, asmView);
+        const bht = row.bht === null ? '' : `[${row.bhtIndex}] ${BHT_STATE_LABELS[predictor.kind][row.bht]}`;
+        const btb = row.btbTarget === null ? '' : toHex32(row.btbTarget);
+        return `<tr>
+            <td>${toHex32(row.pc)}</td>
+            <td class="trace-asm">${escapeHtml(asm)}</td>
+            <td>${bht}</td>
+            <td>${btb}</td>
+            <td>${row.correct}/${row.predictions} (${(100 * row.accuracy).toFixed(0)}%)</td>
+        </tr>`;
+    }).join('');
+}
+
+/* ============================================================
+   INSTANTÁNEAS / SESIÓN
+============================================================ */
+const SESSION_STORAGE_KEY = 'riscv-sim:session';
+const SESSION_SAVE_DELAY_MS = 1000; // Espera tras el último cambio antes de guardar la sesión
+let sessionSaveTimer = null;
+
+function setupSnapshots() {
+    const save = document.getElementById('btn-snapshot-save');
+    const load = document.getElementById('btn-snapshot-load');
+    const input = document.getElementById('snapshot-file');
+
+    save?.addEventListener('click', () => {
+        downloadText('estado-riscv.json', JSON.stringify(currentSnapshot(), null, 2), 'application/json');
+    });
+    load?.addEventListener('click', () => input?.click());
+    input?.addEventListener('change', async () => {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+        try {
+            applySnapshot(await file.text());
+            showToast(`Estado restaurado desde ${file.name}`, "success");
+        } catch (err) {
+            showToast(`No se pudo restaurar el estado: ${err.message}`, "error");
+        }
+    });
+
+    // Guardar al cerrar o recargar aunque no haya vencido el temporizador
+    window.addEventListener('pagehide', saveSession);
+}
+
+// Estado del procesador más el editor (texto actual y texto cargado en el CPU)
+function currentSnapshot() {
+    const input = document.getElementById('program-input');
+    return createSnapshot(cpu, {
+        model: cpu.model,
+        forwarding: forwardingSettings(),
+        predictor: predictorSettings(),
+        editor: { source: input ? input.value : '', loaded: loadedSource },
+        initialRegisters: Object.fromEntries(initialRegisters),
+    });
+}
+
+function applySnapshot(snapshot) {
+    if (isFastRunning || isStepInProgress) throw new Error("Detén la ejecución antes de restaurar un estado");
+    const parsed = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+    if (CPU_MODELS[parsed?.model] && parsed.model !== cpu.model) setCpuModel(parsed.model);
+    if (parsed?.predictor) setPredictorSettings(parsed.predictor);
+    const snap = restoreSnapshot(cpu, parsed);
+    clearReferenceProgress();
+    if (snap.forwarding) setForwarding(snap.forwarding);
+
+    const input = document.getElementById('program-input');
+    if (input && typeof snap.editor?.source === 'string') input.value = snap.editor.source;
+    loadedSource = typeof snap.editor?.loaded === 'string' ? snap.editor.loaded : null;
+    initialRegisters.clear();
+    for (const [reg, value] of Object.entries(snap.initialRegisters ?? {})) setInitialRegister(Number(reg), value >>> 0);
+
+    const layoutSelect = document.getElementById('memory-layout-select');
+    const layoutName = Object.keys(MEMORY_LAYOUTS).find(name =>
+        Object.entries(MEMORY_LAYOUTS[name]).every(([k, v]) => cpu.layout[k] === v >>> 0));
+    if (layoutSelect && layoutName) layoutSelect.value = layoutName;
+    const sizeSelect = document.getElementById('memory-size-select');
+    if (sizeSelect) sizeSelect.value = String(cpu.dataMemSize);
+
+    isRunning = false;
+    const runBtn = document.getElementById('btn-run');
+    runBtn.querySelector('span').textContent = "Run";
+    runBtn.classList.remove('active');
+    lastDecoded = null;
+    lastStepResult = null;
+    lastMemoryAddr = null;
+
+    checkProgram();
+    syncBreakpoints();
+    updateUI();
+}
+
+function scheduleSessionSave() {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(saveSession, SESSION_SAVE_DELAY_MS);
+}
+
+function saveSession() {
+    clearTimeout(sessionSaveTimer);
+    try {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(currentSnapshot()));
+    } catch (err) {
+        console.warn('No se pudo guardar la sesión:', err);
+    }
+}
+
+function restoreSession() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(SESSION_STORAGE_KEY);
+    } catch (err) {
+        console.warn('No se pudo leer la sesión guardada:', err);
+    }
+    if (!saved) return;
+    try {
+        applySnapshot(saved);
+    } catch (err) {
+        console.warn('Sesión guardada descartada:', err);
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+}
+
+/* ============================================================
+   ENLACES COMPARTIDOS
 ============================================================ */
-let isStepInProgress = false;
+function setupShare() {
+    document.getElementById('btn-share')?.addEventListener('click', handleShare);
+}
 
-// Controla el ritmo visual de las animaciones por etapa.
-// "Step" debe ser MUY lento para observar el flujo.
-let visualStageDelayMs = 400;
+async function handleShare() {
+    const input = document.getElementById('program-input');
+    const autoload = document.getElementById('share-autoload');
+    let url;
+    try {
+        url = await buildShareUrl(window.location.href, {
+            src: input ? input.value : '',
+            speed: executionDelay,
+            format: displayFormat,
+            model: cpu.model,
+            forwarding: forwardingSettings(),
+            predictor: predictorSettings(),
+            mem: cpu.dataMemSize,
+            regs: Object.fromEntries(initialRegisters),
+            autoload: autoload ? autoload.checked : false,
+        });
+    } catch (err) {
+        showToast(`No se pudo crear el enlace: ${err.message}`, "error");
+        return;
+    }
 
-function escapeSvgId(id) {
-    if (window.CSS && typeof CSS.escape === 'function') return CSS.escape(id);
-    return String(id).replace(/[^a-zA-Z0-9_-]/g, (m) => `\\${m}`);
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast(`Enlace copiado al portapapeles (${url.length} caracteres)`, "success");
+    } catch {
+        // Sin acceso al portapapeles (p. ej. página abierta como file://)
+        window.prompt("Copia el enlace:", url);
+    }
 }
 
-async function handleStep() {
-    if (isStepInProgress) return;
-    isStepInProgress = true;
+async function restoreSharedLink() {
+    const fragment = shareFragment(window.location.hash);
+    if (!fragment) return;
 
-    visualStageDelayMs = 1800;
-    const result = await cpu.stepWithStageDelay(updateStageIndicator, visualStageDelayMs);
-    if (result) {
-        // Almacenar resultado para tooltips
-        lastStepResult = result;
-        
-        // Detectar si la instrucción accede a memoria
-        if (result.decoded.opcode === 0x03 || result.decoded.opcode === 0x23) {
-            const addrIndex = (result.alu_res >>> 2) & 0x1f;
-            const operation = result.decoded.opcode === 0x03 ? 'READ' : 'WRITE';
-            updateMemoryStats(addrIndex * 4, operation);
-        }
-        updateUI(result);
+    let state;
+    try {
+        state = await decodeShareState(fragment);
+    } catch (err) {
+        showToast(`No se pudo abrir el enlace compartido: ${err.message}`, "error");
+        return;
     }
-    
-    isStepInProgress = false;
+    // Quitar el fragmento: al recargar manda la sesión guardada
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+
+    const slider = document.getElementById('speed-slider');
+    const speed = Number(state.speed);
+    if (slider && Number.isFinite(speed) && speed >= Number(slider.min) && speed <= Number(slider.max)) {
+        slider.value = String(speed);
+        executionDelay = speed;
+        document.getElementById('speed-value').textContent = executionDelay + 'ms';
+    }
+    if (['bin', 'dec', 'hex'].includes(state.format)) setDisplayFormat(state.format);
+    if (CPU_MODELS[state.model]) setCpuModel(state.model);
+    if (state.forwarding) setForwarding(state.forwarding);
+    if (state.predictor) setPredictorSettings(state.predictor);
+
+    try {
+        if (state.mem && state.mem !== cpu.dataMemSize) cpu.setDataMemSize(state.mem);
+    } catch (err) {
+        showToast(err.message, "error");
+    }
+    const sizeSelect = document.getElementById('memory-size-select');
+    if (sizeSelect) sizeSelect.value = String(cpu.dataMemSize);
+
+    initialRegisters.clear();
+    for (const [reg, value] of Object.entries(state.regs ?? {})) {
+        const n = Number(reg);
+        if (Number.isInteger(n) && n > 0 && n < 32) setInitialRegister(n, Number(value) >>> 0);
+    }
+
+    const input = document.getElementById('program-input');
+    if (input && typeof state.src === 'string') input.value = state.src;
+    loadedSource = null;
+    checkProgram();
+    handleReset();
+
+    if (state.autoload && input?.value.trim()) handleLoad();
+    else showToast("Enlace compartido abierto: pulsa Cargar Programa", "info");
 }
 
 /* ============================================================
-   RUN / PAUSE
+   MODELO DE EJECUCIÓN / PIPELINE
 ============================================================ */
-let isRunning = false;
+const STAGE_PILL_IDS = {
+    [Stage.FETCH]: 'stage-fetch',
+    [Stage.DECODE]: 'stage-decode',
+    [Stage.EXEC]: 'stage-exec',
+    [Stage.MEM]: 'stage-mem',
+    [Stage.WB]: 'stage-wb',
+};
 
-async function handleRun(e) {
-    const btn = e.target.closest('button');
-    const span = btn.querySelector('span');
+function setupCpuModelSelector() {
+    const select = document.getElementById('cpu-model-select');
+    if (!select) return;
 
-    if (isRunning) {
-        isRunning = false;
-        span.textContent = "Run";
-        btn.classList.remove("active");
-        return;
+    select.value = cpu.model;
+    select.addEventListener('change', () => {
+        if (isStepInProgress) {
+            select.value = cpu.model;
+            showToast("Espera a que termine el paso en curso", "info");
+            return;
+        }
+        setCpuModel(select.value);
+        handleReset();
+        showToast(`Modelo: ${select.options[select.selectedIndex].text}`, "info");
+    });
+
+    // Los caminos de forwarding se pueden cambiar en cualquier ciclo: cuentan a
+    // partir de la siguiente instrucción que pase por ID
+    for (const id of ['forward-exex', 'forward-memex']) {
+        document.getElementById(id)?.addEventListener('change', () => {
+            applyForwarding();
+            scheduleSessionSave();
+        });
     }
+    applyForwarding();
+}
 
-    btn.classList.add("active");
-    span.textContent = "Pause";
-    isRunning = true;
+function forwardingSettings() {
+    return {
+        exex: document.getElementById('forward-exex')?.checked ?? true,
+        memex: document.getElementById('forward-memex')?.checked ?? true,
+    };
+}
 
-    async function runLoop() {
-        while (isRunning && !cpu.state.halted) {
-            const stageDelay = Math.min(executionDelay / 5, 300);
-            visualStageDelayMs = stageDelay;
-            const result = await cpu.stepWithStageDelay(updateStageIndicator, stageDelay);
-            if (result) {
-                lastStepResult = result;
+function setForwarding({ exex = true, memex = true }) {
+    const exexInput = document.getElementById('forward-exex');
+    const memexInput = document.getElementById('forward-memex');
+    if (exexInput) exexInput.checked = !!exex;
+    if (memexInput) memexInput.checked = !!memex;
+    applyForwarding();
+}
 
-                updateUI(result);
-            }
-            await new Promise(resolve => setTimeout(resolve, executionDelay / 5));
-        }
+function applyForwarding() {
+    const pipelined = cpu.model === 'pipeline';
+    if (pipelined) cpu.forwarding = forwardingSettings();
+    document.querySelector('.forwarding-control')?.classList.toggle('disabled', !pipelined);
+    document.querySelectorAll('.forwarding-control input').forEach(el => { el.disabled = !pipelined; });
+}
 
-        if (cpu.state.halted || !isRunning) {
-            isRunning = false;
-            btn.classList.remove("active");
-            span.textContent = "Run";
+// Sustituye el procesador por uno del modelo indicado con el mismo programa
+function setCpuModel(model) {
+    if (!CPU_MODELS[model] || model === cpu.model) return;
+    isRunning = false;
+    cancelFastRun();
+
+    const next = new CPU_MODELS[model]({ dataMemSize: cpu.dataMemSize, layout: cpu.layout, predictor: predictorSettings() });
+    next.adoptProgram(cpu);
+    cpu = next;
+    applyForwarding();
+
+    const select = document.getElementById('cpu-model-select');
+    if (select) select.value = model;
+}
+
+// Línea fuente de la instrucción en cada etapa del último ciclo (pipeline y multiciclo)
+function pipelineStageLines() {
+    if (!isClockedModel()) return {};
+    const lines = {};
+    for (const stage of PIPELINE_STAGES) {
+        const slot = cpu.stages[stage];
+        if (slot && !slot.flushed) lines[stage] = cpu.sourceLineAt(slot.pc_before);
+    }
+    return lines;
+}
+
+// En pipeline cada pill muestra la instrucción que ocupa la etapa y el datapath
+// ilumina todas las etapas ocupadas a la vez; en multiciclo, la etapa que usó el
+// estado de la FSM del último ciclo
+function renderPipelineStages() {
+    const clocked = isClockedModel();
+    const pipelined = cpu.model === 'pipeline';
+    const occupied = [];
+
+    for (const stage of PIPELINE_STAGES) {
+        const pill = document.getElementById(STAGE_PILL_IDS[stage]);
+        const label = document.getElementById(`${STAGE_PILL_IDS[stage]}-instr`);
+        if (!pill || !label) continue;
+
+        const slot = clocked ? cpu.stages[stage] : null;
+        pill.classList.toggle('flushed', !!slot?.flushed);
+        pill.classList.toggle('stalled', !!slot?.stalled);
+        if (!clocked) {
+            label.textContent = '';
+            continue;
+        }
+        pill.classList.toggle('active', !!slot && !slot.flushed);
+        if (slot && !slot.flushed) occupied.push(stage);
+
+        if (!slot) {
+            label.textContent = pipelined && cpu.state.cycle ? 'burbuja' : '';
+        } else if (slot.fault) {
+            label.textContent = 'fallo';
+        } else if (slot.fsmState) {
+            label.textContent = `${fsmState(slot.fsmState).label}: ${disassembleRV32I(slot.instr, slot.pc_before, asmView)}`;
+        } else {
+            label.textContent = disassembleRV32I(slot.instr, slot.pc_before, asmView);
         }
+        const status = slot?.flushed ? ' (descartada)' : slot?.stalled ? ` (stall ${slot.stalled})` : '';
+        label.title = slot ? `${toHex32(slot.pc_before)}${status}` : '';
+    }
+
+    if (clocked) {
+        if (occupied.length) illuminateDatapathComponents(occupied);
+        else document.querySelectorAll('#datapath-container svg .active').forEach(el => el.classList.remove('active'));
+    }
+    renderHazardOverlay();
+}
+
+// Señala en el datapath los muxes de la ALU que reciben un valor adelantado, el
+// PC/IF detenidos por un stall y el flush de un branch/salto del último ciclo
+const FORWARD_LABELS = { exex: 'EX→EX', memex: 'MEM→EX' };
+
+function renderHazardOverlay() {
+    const svg = dpAnim.svg;
+    if (!svg) return;
+
+    let layer = svg.querySelector('g#dp-hazards');
+    if (!layer) {
+        layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        layer.setAttribute('id', 'dp-hazards');
+        layer.setAttribute('pointer-events', 'none');
+        svg.appendChild(layer);
+    }
+    layer.replaceChildren();
+    svg.querySelectorAll('.dp-forwarding, .dp-stalled').forEach(el => el.classList.remove('dp-forwarding', 'dp-stalled'));
+    if (cpu.model !== 'pipeline') return;
+
+    const marks = [];
+    const forward = cpu.stages[Stage.EXEC]?.forward;
+    if (forward?.rs1) marks.push({ selector: '#mux-alu-a', kind: 'forward', label: `rs1 ${FORWARD_LABELS[forward.rs1]}` });
+    if (forward?.rs2) marks.push({ selector: '#mux-imm', kind: 'forward', label: `rs2 ${FORWARD_LABELS[forward.rs2]}` });
+    if (cpu.stages[Stage.DECODE]?.stalled) {
+        marks.push({ selector: '#pc', kind: 'stall', label: 'STALL' });
+        marks.push({ selector: '#instr-mem', kind: 'stall', label: null });
+    }
+    if (cpu.stages[Stage.FETCH]?.flushed || cpu.stages[Stage.DECODE]?.flushed) {
+        marks.push({ selector: '#control-unit', kind: 'flush', label: 'FLUSH' });
+    }
+
+    const toSvg = svg.getScreenCTM()?.inverse();
+    for (const { selector, kind, label } of marks) {
+        const el = svg.querySelector(selector);
+        if (!el) continue;
+        el.classList.add(kind === 'forward' ? 'dp-forwarding' : 'dp-stalled');
+        if (!label || !toSvg) continue;
+
+        // Etiqueta sobre el módulo (coordenadas de pantalla -> SVG)
+        const box = el.getBoundingClientRect();
+        const point = new DOMPoint(box.left + box.width / 2, box.top).matrixTransform(toSvg);
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.classList.add('dp-hazard-tag', kind);
+        g.setAttribute('transform', `translate(${point.x} ${point.y - 12})`);
+        const bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        bg.classList.add('dp-value-bg');
+        const w = label.length * 7 + 16;
+        bg.setAttribute('x', String(-w / 2));
+        bg.setAttribute('y', '-9');
+        bg.setAttribute('width', String(w));
+        bg.setAttribute('height', '18');
+        bg.setAttribute('rx', '6');
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.classList.add('dp-value-text');
+        text.setAttribute('text-anchor', 'middle');
+        text.setAttribute('dominant-baseline', 'middle');
+        text.textContent = label;
+        g.append(bg, text);
+        layer.appendChild(g);
     }
-    
-    runLoop();
 }
 
 /* ============================================================
@@ -1002,6 +2368,7 @@ async function handleRun(e) {
 ============================================================ */
 function handleReset() {
     isRunning = false;
+    cancelFastRun();
     isStepInProgress = false;
     
     const runBtn = document.getElementById('btn-run');
@@ -1013,8 +2380,12 @@ function handleReset() {
     memoryAccessCount = 0;
     lastMemoryAddr = null;
     lastMemoryOp = '--';
+    memorySegment = Segment.DATA;
+    memoryPage = 0;
     
     cpu.reset();
+    clearReferenceProgress();
+    applyInitialRegisters();
     updateUI();
     
     // Resetear estadísticas de memoria
@@ -1029,9 +2400,12 @@ function handleReset() {
    LOAD PRESET PROGRAMS
 ============================================================ */
 const PRESET_PROGRAMS = {
-    collatz: `addi x5, x0, 100
+    collatz: `.data
+secuencia: .space 128   # valores de la secuencia y, al final, su longitud
+.text
+addi x5, x0, 100
 addi x7, x0, 0
-addi x6, x0, 256      
+la x6, secuencia
 loop:
     sw x5, 0(x6)        
     addi x6, x6, 4      
@@ -1052,12 +2426,15 @@ fin:
     sw x7, 0(x6)    
     addi x0, x0, 0`,
 
-    fibonacci: `main:
+    fibonacci: `.data
+serie: .space 64        # términos menores que 500 y, al final, cuántos se calcularon
+.text
+main:
     addi x10, x0, 1
     addi x11, x0, 1
     addi x7, x0, 0
     addi x5, x0, 500
-    addi x6, x0, 252
+    la   x6, serie
     addi x6, x6, 4
     sw   x10, 0(x6)      
     sw   x11, 0(x6)     
@@ -1086,32 +2463,260 @@ function loadPresetProgram(preset) {
     }
     
     programInput.value = program;
+    checkProgram();
     showToast(`Programa ${preset.charAt(0).toUpperCase() + preset.slice(1)} cargado`, "success");
 }
 
 /* ============================================================
-   LOAD PROGRAM
+   EDITOR DE PROGRAMA (numeración y diagnósticos)
 ============================================================ */
-function handleLoad() {
-    const code = document.getElementById('program-input').value.trim();
-    if (!code) return;
+let editorDiagnostics = []; // { line, column, length, severity, message }
+let checkProgramTimer = null;
+let loadedSource = null; // Texto cargado en el CPU: el mapa de líneas sólo vale si el editor no cambió
+let editorStageLines = {}; // Stage -> línea fuente de la instrucción en esa etapa
+
+const STAGE_SHORT = {
+    [Stage.FETCH]: 'IF',
+    [Stage.DECODE]: 'ID',
+    [Stage.EXEC]: 'EX',
+    [Stage.MEM]: 'MEM',
+    [Stage.WB]: 'WB',
+};
 
-    let program;
+function setupProgramEditor() {
+    const input = document.getElementById('program-input');
+    if (!input) return;
 
-    try {
-        // Si ya viene en hexadecimal
-        if (/^[0-9a-fA-F]+$/.test(code.split("\n")[0].trim())) {
-            program = code;
+    input.addEventListener('input', () => {
+        renderProgramEditor();
+        scheduleSessionSave();
+        // Revalidar al dejar de escribir
+        clearTimeout(checkProgramTimer);
+        checkProgramTimer = setTimeout(checkProgram, 400);
+    });
+    input.addEventListener('scroll', syncEditorScroll);
+
+    const list = document.getElementById('editor-diagnostics');
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-line]');
+            if (item) revealEditorPosition(Number(item.dataset.line), Number(item.dataset.column));
+        });
+    }
+
+    renderProgramEditor();
+}
+
+// Ensambla el contenido del editor sólo para obtener diagnósticos.
+// Devuelve la lista (vacía para código máquina en hexadecimal).
+function checkProgram() {
+    const input = document.getElementById('program-input');
+    const code = input ? input.value : '';
+    editorDiagnostics = [];
+
+    if (code.trim() && !parseMachineCode(code)) {
+        try {
+            editorDiagnostics = assembleProgram(code, { textBase: cpu.layout.text, dataBase: cpu.layout.data }).diagnostics;
+        } catch (err) {
+            editorDiagnostics = err.diagnostics || [];
+        }
+    }
+
+    renderProgramEditor();
+    return editorDiagnostics;
+}
+
+function renderProgramEditor() {
+    const input = document.getElementById('program-input');
+    const gutter = document.getElementById('editor-gutter');
+    const backdrop = document.getElementById('editor-backdrop');
+    if (!input || !gutter || !backdrop) return;
+
+    const lines = input.value.split('\n');
+    const byLine = new Map();
+    for (const d of editorDiagnostics) {
+        if (!byLine.has(d.line)) byLine.set(d.line, []);
+        byLine.get(d.line).push(d);
+    }
+
+    gutter.innerHTML = lines.map((_, i) => {
+        const line = i + 1;
+        const diags = byLine.get(line) || [];
+        let cls = diags.some(d => d.severity === 'error') ? ' has-error'
+            : diags.length ? ' has-warning' : '';
+        if (lineBreakpoints.has(line)) {
+            cls += ' has-breakpoint';
+            if (!cpu.addressesOfLine(line).length) cls += ' inactive';
+        }
+        const title = diags.map(d => d.message).join('\n');
+        return `<div class="gutter-line${cls}" data-line="${line}"${title ? ` title="${escapeHtml(title)}"` : ''}>` +
+            `<span class="gutter-num">${line}</span></div>`;
+    }).join('');
+
+    // Capa bajo el textarea con el mismo texto (transparente) para subrayar cada diagnóstico
+    backdrop.innerHTML = lines.map((text, i) => {
+        const diags = byLine.get(i + 1);
+        const cls = lineBreakpoints.has(i + 1) ? ' breakpoint-line' : '';
+        return `<div class="editor-line${cls}">${diags ? markDiagnostics(text, diags) : escapeHtml(text)}</div>`;
+    }).join('');
+
+    renderDiagnosticsList();
+    renderEditorHighlights();
+    syncEditorScroll();
+}
+
+// Resalta la línea de la próxima instrucción (PC) o, durante un paso,
+// la línea que ocupa cada etapa (etiqueta IF/ID/EX/MEM/WB en el margen)
+function renderEditorHighlights() {
+    const input = document.getElementById('program-input');
+    const gutter = document.getElementById('editor-gutter');
+    const backdrop = document.getElementById('editor-backdrop');
+    if (!input || !gutter || !backdrop) return;
+
+    const inSync = loadedSource !== null && input.value === loadedSource;
+    const stagesByLine = new Map();
+    if (inSync) {
+        for (const [stage, line] of Object.entries(editorStageLines)) {
+            if (line == null) continue;
+            if (!stagesByLine.has(line)) stagesByLine.set(line, []);
+            stagesByLine.get(line).push(STAGE_SHORT[stage]);
+        }
+    }
+    const execLine = inSync && !stagesByLine.size && !cpu.state.halted
+        ? cpu.sourceLineAt(cpu.state.pc)
+        : null;
+    const heat = inSync && showHeatmap ? cpu.profile.lineCounts(cpu.sourceLines, cpu.layout.text) : new Map();
+    const maxHeat = Math.max(1, ...heat.values());
+
+    Array.from(backdrop.children).forEach((el, i) => {
+        el.classList.toggle('exec-line', i + 1 === execLine);
+        el.classList.toggle('stage-line', stagesByLine.has(i + 1));
+        const count = heat.get(i + 1);
+        el.classList.toggle('heat-line', count !== undefined);
+        if (count !== undefined) {
+            el.style.setProperty('--heat', (count / maxHeat).toFixed(3));
+            el.dataset.count = `×${count}`;
         } else {
-            // AQUÍ puede lanzar errores el ensamblador
-            const hexArray = assembleProgram(code);
-            program = hexArray
-                .map(x => x.toString(16).padStart(8, "0"))
-                .join("\n");
+            el.style.removeProperty('--heat');
+            delete el.dataset.count;
         }
+    });
+    Array.from(gutter.children).forEach((el, i) => {
+        const stages = stagesByLine.get(i + 1);
+        if (stages) el.dataset.stage = stages.join('/');
+        else delete el.dataset.stage;
+    });
+
+    const focusLine = execLine ?? stagesByLine.keys().next().value;
+    if (focusLine != null) scrollEditorToLine(focusLine);
+}
+
+function setEditorStageLine(stage, pc) {
+    editorStageLines = { [stage]: cpu.sourceLineAt(pc) };
+    renderEditorHighlights();
+}
+
+// Desplaza el editor sólo si la línea no está visible
+function scrollEditorToLine(line) {
+    const input = document.getElementById('program-input');
+    if (!input) return;
+
+    const lineHeight = parseFloat(getComputedStyle(input).lineHeight) || 18;
+    const top = (line - 1) * lineHeight;
+    const visible = input.clientHeight - 2 * lineHeight;
+    if (top < input.scrollTop || top > input.scrollTop + visible) {
+        input.scrollTop = Math.max(0, top - 2 * lineHeight);
+        syncEditorScroll();
+    }
+}
+
+function markDiagnostics(text, diags) {
+    let html = '';
+    let pos = 0;
+    const sorted = [...diags].sort((a, b) => a.column - b.column);
+    for (const d of sorted) {
+        const start = Math.max(d.column - 1, pos);
+        const end = Math.min(text.length, d.column - 1 + Math.max(d.length, 1));
+        if (end <= start) continue;
+        html += escapeHtml(text.slice(pos, start));
+        html += `<span class="diag-mark ${d.severity}">${escapeHtml(text.slice(start, end))}</span>`;
+        pos = end;
+    }
+    return html + escapeHtml(text.slice(pos));
+}
+
+function renderDiagnosticsList() {
+    const list = document.getElementById('editor-diagnostics');
+    if (!list) return;
+
+    list.innerHTML = editorDiagnostics.map(d => `
+        <li class="${d.severity}" data-line="${d.line}" data-column="${d.column}">
+            <span class="diag-pos">${d.line}:${d.column}</span>
+            <span>${d.severity === 'error' ? 'Error' : 'Aviso'}: ${escapeHtml(d.message)}</span>
+        </li>
+    `).join('');
+}
 
+function syncEditorScroll() {
+    const input = document.getElementById('program-input');
+    const gutter = document.getElementById('editor-gutter');
+    const backdrop = document.getElementById('editor-backdrop');
+    if (!input) return;
+    if (gutter) gutter.scrollTop = input.scrollTop;
+    if (backdrop) {
+        backdrop.scrollTop = input.scrollTop;
+        backdrop.scrollLeft = input.scrollLeft;
+    }
+}
+
+// Coloca el cursor en línea/columna (desde 1) y la desplaza a la vista
+function revealEditorPosition(line, column = 1) {
+    const input = document.getElementById('program-input');
+    if (!input) return;
+
+    const lines = input.value.split('\n');
+    let offset = 0;
+    for (let i = 0; i < line - 1 && i < lines.length; i++) offset += lines[i].length + 1;
+    offset += Math.max(0, column - 1);
+
+    input.focus();
+    input.setSelectionRange(offset, offset);
+    scrollEditorToLine(line);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/* ============================================================
+   LOAD PROGRAM
+============================================================ */
+function handleLoad() {
+    const code = document.getElementById('program-input').value;
+    if (!code.trim()) return;
+
+    // Reportar todos los errores de ensamblado en el editor antes de cargar
+    const errors = checkProgram().filter(d => d.severity === 'error');
+    if (errors.length) {
+        const first = errors[0];
+        showToast(`${errors.length} error(es) de ensamblado. Línea ${first.line}: ${first.message}`, "error");
+        revealEditorPosition(first.line, first.column);
+        return;
+    }
+
+    try {
+        // Hexadecimal o ensamblador
+        cancelFastRun();
+        cpu.loadProgram(code);
+        clearReferenceProgress();
+        applyInitialRegisters();
+        loadedSource = code;
+        syncBreakpoints();
         lastDecoded = null;
-        cpu.loadProgram(program);
         updateUI();
 
         showToast("Programa cargado exitosamente", "success");
@@ -1215,6 +2820,9 @@ function updateStageIndicator(stage, stageData = null) {
 
     const el = document.getElementById(ids[stage]);
     if (el) el.classList.add("active");
+
+    // Línea fuente de la instrucción en esta etapa
+    if (stageData) setEditorStageLine(stage, stageData.pc_before);
     
     // Iluminar componentes del datapath
     illuminateDatapathComponents(stage);
@@ -1377,8 +2985,8 @@ function illuminateDatapathComponents(stage) {
         ]
     };
     
-    // Obtener componentes para la etapa actual
-    const componentsToIlluminate = stageComponents[stage] || [];
+    // Obtener componentes para la etapa actual (o varias a la vez, en pipeline)
+    const componentsToIlluminate = [].concat(stage).flatMap(st => stageComponents[st] || []);
     
     // Iluminar cada componente
     componentsToIlluminate.forEach(selector => {
@@ -1627,7 +3235,9 @@ function getBinaryRepresentation(decoded) {
     return `${funct7Bin} ${rs2Bin} ${rs1Bin} ${funct3Bin} ${rdBin} ${opcodeBin}`;
 }
 
-function disassembleRV32I(instr, pc = 0) {
+// options.pseudo: mostrar la forma pseudo-instrucción cuando exista (mv, li, j, ret...)
+// options.abi: nombres ABI de registros (a0, sp, ra...) en lugar de xN
+function disassembleRV32I(instr, pc = 0, { pseudo = false, abi = false } = {}) {
     if (instr == null) return '--';
     const word = instr >>> 0;
 
@@ -1643,7 +3253,7 @@ function disassembleRV32I(instr, pc = 0) {
     const rs2 = (word >>> 20) & 0x1f;
     const funct7 = (word >>> 25) & 0x7f;
 
-    const x = (n) => `x${n}`;
+    const x = (n) => abi ? ABI_NAMES[n] : `x${n}`;
     const hex = () => toHex32(word);
 
     // Helpers de inmediatos
@@ -1671,6 +3281,29 @@ function disassembleRV32I(instr, pc = 0) {
         return (signExtend(raw, 21) | 0);
     };
 
+    // ------------ PSEUDO-INSTRUCCIONES (vista opcional) ------------
+    if (pseudo) {
+        const target = (imm) => toHex32(((pc >>> 0) + (imm | 0)) >>> 0);
+        if (opcode === 0x13 && funct3 === 0x0) {
+            if (rd === 0 && rs1 === 0 && immI() === 0) return 'nop';
+            if (immI() === 0) return `mv ${x(rd)}, ${x(rs1)}`;
+            if (rs1 === 0) return `li ${x(rd)}, ${immI()}`;
+        }
+        if (opcode === 0x13 && funct3 === 0x4 && immI() === -1) return `not ${x(rd)}, ${x(rs1)}`;
+        if (opcode === 0x13 && funct3 === 0x3 && immI() === 1) return `seqz ${x(rd)}, ${x(rs1)}`;
+        if (opcode === 0x33 && funct7 === 0x20 && funct3 === 0x0 && rs1 === 0) return `neg ${x(rd)}, ${x(rs2)}`;
+        if (opcode === 0x33 && funct7 === 0x00 && funct3 === 0x3 && rs1 === 0) return `snez ${x(rd)}, ${x(rs2)}`;
+        if (opcode === 0x6f && rd === 0) return `j ${immJ()} (${target(immJ())})`;
+        if (opcode === 0x6f && rd === 1) return `jal ${immJ()} (${target(immJ())})`;
+        if (opcode === 0x67 && funct3 === 0x0 && rd === 0 && immI() === 0) {
+            return rs1 === 1 ? 'ret' : `jr ${x(rs1)}`;
+        }
+        if (opcode === 0x63 && rs2 === 0 && (funct3 === 0x0 || funct3 === 0x1)) {
+            const mn = funct3 === 0x0 ? 'beqz' : 'bnez';
+            return `${mn} ${x(rs1)}, ${immB()} (${target(immB())})`;
+        }
+    }
+
     // ------------ R-TYPE ------------
     if (opcode === 0x33) {
         let mn = null;
@@ -1682,6 +3315,9 @@ function disassembleRV32I(instr, pc = 0) {
         else if (funct3 === 0x1 && funct7 === 0x00) mn = 'sll';
         else if (funct3 === 0x5 && funct7 === 0x00) mn = 'srl';
         else if (funct3 === 0x5 && funct7 === 0x20) mn = 'sra';
+        else if (funct3 === 0x2 && funct7 === 0x00) mn = 'slt';
+        else if (funct3 === 0x3 && funct7 === 0x00) mn = 'sltu';
+        else if (funct7 === 0x01) mn = ['mul', 'mulh', 'mulhsu', 'mulhu', 'div', 'divu', 'rem', 'remu'][funct3];
         if (!mn) return hex();
         return `${mn} ${x(rd)}, ${x(rs1)}, ${x(rs2)}`;
     }
@@ -1695,6 +3331,7 @@ function disassembleRV32I(instr, pc = 0) {
         else if (funct3 === 0x6) mn = 'ori';
         else if (funct3 === 0x4) mn = 'xori';
         else if (funct3 === 0x2) mn = 'slti';
+        else if (funct3 === 0x3) mn = 'sltiu';
         else if (funct3 === 0x1) {
             const shamt = (word >>> 20) & 0x1f;
             mn = 'slli';
@@ -1711,15 +3348,17 @@ function disassembleRV32I(instr, pc = 0) {
     // ------------ LOAD ------------
     if (opcode === 0x03) {
         const imm = immI();
-        if (funct3 === 0x2) return `lw ${x(rd)}, ${imm}(${x(rs1)})`;
-        return hex();
+        const mn = ['lb', 'lh', 'lw', null, 'lbu', 'lhu', null, null][funct3];
+        if (!mn) return hex();
+        return `${mn} ${x(rd)}, ${imm}(${x(rs1)})`;
     }
 
     // ------------ STORE ------------
     if (opcode === 0x23) {
         const imm = immS();
-        if (funct3 === 0x2) return `sw ${x(rs2)}, ${imm}(${x(rs1)})`;
-        return hex();
+        const mn = ['sb', 'sh', 'sw'][funct3];
+        if (!mn) return hex();
+        return `${mn} ${x(rs2)}, ${imm}(${x(rs1)})`;
     }
 
     // ------------ BRANCH ------------
@@ -1738,10 +3377,14 @@ function disassembleRV32I(instr, pc = 0) {
         return `${mn} ${x(rs1)}, ${x(rs2)}, ${imm} (${toHex32(target)})`;
     }
 
-    // ------------ LUI ------------
+    // ------------ LUI / AUIPC ------------
     if (opcode === 0x37) {
         const imm = immU();
-        return `lui ${x(rd)}, ${toHex32(imm)}`;
+        return `lui ${x(rd)}, ${toHex32(imm >>> 12)}`;
+    }
+    if (opcode === 0x17) {
+        const imm = immU();
+        return `auipc ${x(rd)}, ${toHex32(imm >>> 12)}`;
     }
 
     // ------------ JAL ------------
@@ -1751,6 +3394,12 @@ function disassembleRV32I(instr, pc = 0) {
         return `jal ${x(rd)}, ${imm} (${toHex32(target)})`;
     }
 
+    // ------------ JALR ------------
+    if (opcode === 0x67) {
+        if (funct3 !== 0x0) return hex();
+        return `jalr ${x(rd)}, ${immI()}(${x(rs1)})`;
+    }
+
     // ------------ SYSTEM ------------
     if (opcode === 0x73) {
         return hex();
@@ -1772,8 +3421,7 @@ function updateUI(stepResult) {
         const instrFromStep = (typeof stepResult?.instr === 'number') ? (stepResult.instr >>> 0) : null;
         let instr = instrFromStep;
         if (instr == null) {
-            const wi = (cpu.state.pc >>> 2);
-            instr = (wi >= 0 && wi < cpu.state.instrMem.length) ? (cpu.state.instrMem[wi] >>> 0) : null;
+            instr = peekWord(cpu.state.pc);
         }
 
         const pcForDisasm = (typeof stepResult?.pc_before === 'number') ? (stepResult.pc_before >>> 0) : (cpu.state.pc >>> 0);
@@ -1783,13 +3431,25 @@ function updateUI(stepResult) {
         } else if (instr == null) {
             asmEl.textContent = '--';
         } else {
-            asmEl.textContent = disassembleRV32I(instr, pcForDisasm);
+            asmEl.textContent = disassembleRV32I(instr, pcForDisasm, asmView);
         }
     }
 
     renderRegisters();
+    updateMemoryStats();
     renderMemory();
 
+    editorStageLines = pipelineStageLines();
+    renderEditorHighlights();
+    renderPipelineStages();
+    updateTimeline();
+    renderTrace();
+    renderProfile();
+    renderStats();
+    renderPredictor();
+    renderTimingDiagram();
+    scheduleSessionSave();
+
     if (stepResult?.decoded) {
         const d = stepResult.decoded;
         currentDecoded = d; // Guardar para actualizar cuando cambie el formato
@@ -1923,19 +3583,42 @@ function renderRegisters() {
             </td>
         `;
 
+        if (initialRegisters.has(i)) {
+            const input = tr.querySelector("input");
+            input.classList.add("reg-initial");
+            input.title = `Valor inicial: ${initialRegisters.get(i)} (se aplica en Reset y al cargar)`;
+        }
+
         // Actualizar registro cuando escriban en el input
         tr.querySelector("input").addEventListener("change", e => {
             let val = parseInt(e.target.value);
             if (i === 0) val = 0;
             if (Number.isNaN(val)) val = 0;
             cpu.state.regs[i] = val >>> 0;
+            // Antes de ejecutar nada, el valor queda como inicial del programa
+            if (cpu.state.cycle === 0 && cpu.historyPos === 0) setInitialRegister(i, val >>> 0);
             renderRegisters();
+            scheduleSessionSave();
         });
 
         tbody.appendChild(tr);
     }
 }
 
+// Valores iniciales de registros editados antes de ejecutar (registro -> valor).
+// Se vuelven a aplicar tras Reset y al cargar un programa, y viajan en los enlaces.
+const initialRegisters = new Map();
+
+function setInitialRegister(reg, value) {
+    const defaults = { 2: cpu.layout.stack >>> 0, 3: cpu.layout.gp >>> 0 };
+    if (reg === 0 || value === (defaults[reg] ?? 0)) initialRegisters.delete(reg);
+    else initialRegisters.set(reg, value >>> 0);
+}
+
+function applyInitialRegisters() {
+    for (const [reg, value] of initialRegisters) cpu.state.regs[reg] = value;
+}
+
 /* ============================================================
    RENDER MEMORY (AMBAS VISTAS)
 ============================================================ */
@@ -1944,8 +3627,53 @@ let lastMemoryAddr = null;
 let lastMemoryOp = '--';
 
 function renderMemory() {
+    clampMemoryPage();
     renderMemoryGrid();
     renderMemoryTable();
+    renderMemoryPager();
+}
+
+// Lectura sin efectos (UI): null si la dirección no está mapeada
+function peekWord(addr) {
+    return cpu.segmentOf(addr) ? cpu.readMem((addr & ~3) >>> 0) : null;
+}
+
+const SEGMENT_LABELS = {
+    [Segment.TEXT]: '.text',
+    [Segment.DATA]: '.data',
+    [Segment.HEAP]: 'heap',
+    [Segment.STACK]: 'stack',
+};
+
+function currentMemoryRegion() {
+    return cpu.state.mem.region(memorySegment);
+}
+
+function memoryPageCount() {
+    return Math.max(1, Math.ceil(currentMemoryRegion().size / 4 / MEMORY_PAGE_WORDS));
+}
+
+function clampMemoryPage() {
+    memoryPage = Math.max(0, Math.min(memoryPageCount() - 1, memoryPage));
+}
+
+// Direcciones (por palabra) visibles en la página actual
+function memoryPageRange() {
+    const region = currentMemoryRegion();
+    const first = region.base + memoryPage * MEMORY_PAGE_WORDS * 4;
+    const last = Math.min(first + MEMORY_PAGE_WORDS * 4, region.base + region.size);
+    return { first, last };
+}
+
+function formatMemAddr(addr) {
+    return '0x' + (addr >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+// "seg+offset" relativo a la base del segmento que contiene addr
+function formatSegmentOffset(addr) {
+    const region = cpu.state.mem.findRegion(addr);
+    if (!region) return '--';
+    return `${SEGMENT_LABELS[region.name]}+0x${(addr - region.base).toString(16).toUpperCase()}`;
 }
 
 function renderMemoryGrid() {
@@ -1954,22 +3682,23 @@ function renderMemoryGrid() {
     
     grid.innerHTML = '';
 
-    for (let i = 0; i < 32; i++) {
-        const memAddr = i * 4;
-        const memVal = cpu.state.dataMem[i] >>> 0;
+    const { first, last } = memoryPageRange();
+    for (let memAddr = first; memAddr < last; memAddr += 4) {
+        const memVal = cpu.readMem(memAddr);
         const hexVal = memVal.toString(16).toUpperCase().padStart(8, '0');
         const decVal = memVal.toString();
 
         const cell = document.createElement('div');
-        cell.className = 'memory-cell' + (lastMemoryAddr === memAddr ? ' active' : '');
+        cell.className = `memory-cell seg-${memorySegment}` + (lastMemoryAddr === memAddr ? ' active' : '');
+        cell.title = formatSegmentOffset(memAddr);
         cell.innerHTML = `
-            <div class="memory-cell-addr">0x${memAddr.toString(16).toUpperCase().padStart(2, '0')}</div>
+            <div class="memory-cell-addr">${formatMemAddr(memAddr)}</div>
             <div class="memory-cell-value">${hexVal}</div>
             <div class="memory-cell-dec">${decVal > 1000 ? (decVal / 1000).toFixed(1) + 'K' : decVal}</div>
         `;
         
         cell.addEventListener('click', () => {
-            showMemoryDetail(i, memVal);
+            showMemoryDetail(memAddr, memVal);
         });
         
         grid.appendChild(cell);
@@ -1982,9 +3711,9 @@ function renderMemoryTable() {
     
     tbody.innerHTML = '';
 
-    for (let i = 0; i < 32; i++) {
-        const memAddr = i * 4;
-        const memVal = cpu.state.dataMem[i] >>> 0;
+    const { first, last } = memoryPageRange();
+    for (let memAddr = first; memAddr < last; memAddr += 4) {
+        const memVal = cpu.readMem(memAddr);
         const hexVal = '0x' + memVal.toString(16).toUpperCase().padStart(8, '0');
         const decVal = memVal.toString();
 
@@ -1992,8 +3721,8 @@ function renderMemoryTable() {
         tr.className = lastMemoryAddr === memAddr ? 'memory-active' : '';
 
         tr.innerHTML = `
-            <td class="col-addr">0x${memAddr.toString(16).toUpperCase().padStart(2, '0')}</td>
-            <td class="col-offset">[${i}]</td>
+            <td class="col-addr">${formatMemAddr(memAddr)}</td>
+            <td class="col-offset"><span class="segment-tag seg-${memorySegment}">${formatSegmentOffset(memAddr)}</span></td>
             <td class="col-hex">${hexVal}</td>
             <td class="col-dec">${decVal}</td>
         `;
@@ -2002,21 +3731,145 @@ function renderMemoryTable() {
     }
 }
 
-function showMemoryDetail(index, value) {
+function renderMemoryPager() {
+    const label = document.getElementById('memory-page-label');
+    const count = document.getElementById('memory-count');
+    const { first, last } = memoryPageRange();
+
+    if (label) {
+        label.textContent = `${formatMemAddr(first)} – ${formatMemAddr(last - 1)}  (${memoryPage + 1}/${memoryPageCount()})`;
+    }
+    if (count) count.textContent = `${currentMemoryRegion().size >>> 2} × 32bits`;
+
+    document.querySelectorAll('.segment-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.segment === memorySegment);
+    });
+
+    const prev = document.getElementById('btn-mem-prev');
+    const next = document.getElementById('btn-mem-next');
+    if (prev) prev.disabled = memoryPage === 0;
+    if (next) next.disabled = memoryPage >= memoryPageCount() - 1;
+}
+
+/* ============================================================
+   MEMORY LAYOUT / SIZE / PAGER
+============================================================ */
+function setupMemoryLayoutSelector() {
+    const select = document.getElementById('memory-layout-select');
+    if (!select) return;
+
+    select.value = DEFAULT_LAYOUT;
+    select.addEventListener('change', (e) => {
+        try {
+            cpu.setLayout(MEMORY_LAYOUTS[e.target.value]);
+        } catch (err) {
+            showToast(err.message, "error");
+            return;
+        }
+        syncBreakpoints(); // Las líneas se traducen con la nueva base de .text
+        handleReset();
+        showToast(`Mapa de memoria: ${select.options[select.selectedIndex].text}`, "info");
+    });
+}
+
+function setupMemorySegmentTabs() {
+    document.querySelectorAll('.segment-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            selectMemorySegment(btn.dataset.segment);
+        });
+    });
+}
+
+function selectMemorySegment(segment) {
+    memorySegment = segment;
+    // La pila crece hacia abajo: mostrar primero su tope
+    memoryPage = segment === Segment.STACK ? memoryPageCount() - 1 : 0;
+    renderMemory();
+}
+
+function setupMemorySizeSelector() {
+    const select = document.getElementById('memory-size-select');
+    if (!select) return;
+
+    select.value = String(cpu.dataMemSize);
+    select.addEventListener('change', (e) => {
+        try {
+            cpu.setDataMemSize(parseInt(e.target.value, 10));
+        } catch (err) {
+            showToast(err.message, "error");
+            select.value = String(cpu.dataMemSize);
+            return;
+        }
+        // El cambio de tamaño reinicia el procesador (el programa se conserva)
+        handleReset();
+        showToast(`Memoria de datos: ${select.options[select.selectedIndex].text}`, "info");
+    });
+}
+
+function setupMemoryPager() {
+    const prev = document.getElementById('btn-mem-prev');
+    const next = document.getElementById('btn-mem-next');
+    const gotoInput = document.getElementById('memory-goto');
+
+    if (prev) prev.addEventListener('click', () => { memoryPage--; renderMemory(); });
+    if (next) next.addEventListener('click', () => { memoryPage++; renderMemory(); });
+
+    if (gotoInput) {
+        gotoInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            const raw = gotoInput.value.trim();
+            const addr = /^0x/i.test(raw) ? parseInt(raw, 16) : parseInt(raw, 10);
+            if (Number.isNaN(addr) || !cpu.segmentOf(addr)) {
+                showToast(`Dirección fuera de los segmentos mapeados: ${raw}`, "error");
+                return;
+            }
+            showMemoryAddress(addr);
+        });
+    }
+}
+
+// Mover la vista al segmento y página que contienen addr
+function showMemoryAddress(addr) {
+    followMemoryAddress(addr);
+    renderMemory();
+}
+
+function followMemoryAddress(addr) {
+    const region = cpu.state.mem.findRegion(addr);
+    if (!region) return;
+    memorySegment = region.name;
+    memoryPage = Math.floor(((addr - region.base) >>> 2) / MEMORY_PAGE_WORDS);
+}
+
+function showMemoryDetail(addr, value) {
     // Aquí se puede agregar un tooltip o modal con más detalles
-    console.log(`Memory[${index}] = 0x${value.toString(16).padStart(8, '0')} (${value})`);
+    console.log(`Memory[${formatMemAddr(addr)}] (${formatSegmentOffset(addr)}) = 0x${value.toString(16).padStart(8, '0')} (${value})`);
 }
 
-function updateMemoryStats(lastAddr, operation = 'READ') {
-    if (lastAddr !== null && lastAddr !== lastMemoryAddr) {
-        memoryAccessCount++;
-        lastMemoryAddr = lastAddr;
-        lastMemoryOp = operation;
-        
-        document.getElementById('memory-access-count').textContent = memoryAccessCount;
-        document.getElementById('memory-last-addr').textContent = '0x' + lastAddr.toString(16).toUpperCase().padStart(2, '0');
-        document.getElementById('memory-last-op').textContent = operation;
+// Los contadores salen del perfil del procesador, así que cuentan cada acceso
+// (también los repetidos a la misma dirección) en Step, Run, Run to end y Back
+function updateMemoryStats() {
+    const access = lastMemoryAccess();
+    const addr = access ? (access.mem_addr & ~3) >>> 0 : null;
+    memoryAccessCount = cpu.profile.loads + cpu.profile.stores;
+
+    // Seguir el acceso: mostrar el segmento y la página donde ocurrió
+    if (addr !== null && addr !== lastMemoryAddr) followMemoryAddress(addr);
+    lastMemoryAddr = addr;
+    lastMemoryOp = access ? (access.ctrl.wem ? 'WRITE' : 'READ') : '--';
+
+    document.getElementById('memory-access-count').textContent = memoryAccessCount;
+    document.getElementById('memory-last-addr').textContent = addr === null ? '--' : formatMemAddr(addr);
+    document.getElementById('memory-last-op').textContent = lastMemoryOp;
+}
+
+// Último paso del historial con load o store (null si no hay)
+function lastMemoryAccess() {
+    for (let i = cpu.historyPos - 1; i >= 0; i--) {
+        const r = cpu.history[i].result;
+        if (r && r.mem_addr !== null) return r;
     }
+    return null;
 }
 
 
@@ -0,0 +1,167 @@
+import { toHex32, signExtend } from './utils.js';
+
+// Tamaño de los segmentos de datos, heap y pila en bytes (configurable)
+export const DATA_MEM_MIN_BYTES = 4 * 1024;
+export const DATA_MEM_MAX_BYTES = 1024 * 1024;
+export const DATA_MEM_DEFAULT_BYTES = 4 * 1024;
+
+// Segmento de texto: 4096 instrucciones
+export const TEXT_SEGMENT_BYTES = 16 * 1024;
+
+export const Segment = {
+    TEXT: "text",
+    DATA: "data",
+    HEAP: "heap",
+    STACK: "stack",
+};
+
+// Mapas de memoria predefinidos.
+// - rars: mismas bases que RARS/MARS (configuración por defecto)
+// - compact: datos a partir de la dirección 0 (programas con direcciones absolutas pequeñas)
+// stack es el valor inicial de sp (la pila crece hacia abajo desde ahí).
+// gp apunta 2 KB dentro de .data para cubrir sus primeros 4 KB con offsets de 12 bits.
+export const MEMORY_LAYOUTS = {
+    rars: {
+        text: 0x00400000,
+        data: 0x10010000,
+        heap: 0x10040000,
+        stack: 0x7fffeffc,
+        gp: 0x10010800,
+    },
+    compact: {
+        text: 0x00400000,
+        data: 0x00000000,
+        heap: 0x00100000,
+        stack: 0x003ffffc,
+        gp: 0x00000800,
+    },
+};
+
+export const DEFAULT_LAYOUT = "rars";
+
+// Espacio de direcciones único: cada segmento es una región [base, base + size)
+// respaldada por su propio arreglo de bytes (little-endian).
+export class Memory {
+    constructor(layout = MEMORY_LAYOUTS[DEFAULT_LAYOUT], dataMemSize = DATA_MEM_DEFAULT_BYTES) {
+        this.layout = { ...layout };
+        this.dataMemSize = checkDataMemSize(dataMemSize);
+
+        // Cada segmento crece hasta su tamaño o hasta toparse con la base del siguiente;
+        // la pila crece hacia abajo desde sp inicial hasta el fin del segmento anterior.
+        const { text, data, heap, stack } = this.layout;
+        const stackEnd = (stack + 4) >>> 0;
+        const bases = [text >>> 0, data >>> 0, heap >>> 0, stackEnd];
+        const upTo = (base, size) => {
+            let end = base + size;
+            for (const b of bases) if (b > base && b < end) end = b;
+            return end - base;
+        };
+
+        this.regions = [
+            makeRegion(Segment.TEXT, text, upTo(text >>> 0, TEXT_SEGMENT_BYTES)),
+            makeRegion(Segment.DATA, data, upTo(data >>> 0, this.dataMemSize)),
+            makeRegion(Segment.HEAP, heap, upTo(heap >>> 0, this.dataMemSize)),
+        ];
+
+        let stackStart = Math.max(0, stackEnd - this.dataMemSize);
+        for (const r of this.regions) {
+            const end = r.base + r.size;
+            if (r.base < stackEnd && end > stackStart) stackStart = end;
+        }
+        this.regions.push(makeRegion(Segment.STACK, stackStart, stackEnd - stackStart));
+        checkRegions(this.regions);
+    }
+
+    region(name) {
+        return this.regions.find(r => r.name === name) || null;
+    }
+
+    // Región que contiene [addr, addr + size), o null
+    findRegion(addr, size = 1) {
+        addr = addr >>> 0;
+        for (const r of this.regions) {
+            if (addr >= r.base && addr + size <= r.base + r.size) return r;
+        }
+        return null;
+    }
+
+    segmentOf(addr) {
+        return this.findRegion(addr)?.name ?? null;
+    }
+
+    // Lee 1, 2 o 4 bytes (little-endian)
+    read(addr, size = 4, signed = false) {
+        const r = this._access(addr, size);
+        const off = (addr >>> 0) - r.base;
+        let value = 0;
+        for (let i = size - 1; i >= 0; i--) {
+            value = (value << 8) | r.bytes[off + i];
+        }
+        if (signed && size < 4) value = signExtend(value, size * 8);
+        return value >>> 0;
+    }
+
+    // Escribe los 1, 2 o 4 bytes menos significativos de value (little-endian)
+    write(addr, value, size = 4) {
+        const r = this._access(addr, size);
+        const off = (addr >>> 0) - r.base;
+        for (let i = 0; i < size; i++) {
+            r.bytes[off + i] = (value >>> (8 * i)) & 0xff;
+        }
+    }
+
+    // Copia una imagen de palabras a partir de addr (carga de programa/datos)
+    loadWords(addr, words) {
+        for (let i = 0; i < words.length; i++) {
+            this.write((addr + i * 4) >>> 0, words[i] >>> 0, 4);
+        }
+    }
+
+    loadBytes(addr, bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            this.write((addr + i) >>> 0, bytes[i], 1);
+        }
+    }
+
+    // Access fault: la dirección debe caer completa dentro de un segmento
+    _access(addr, size) {
+        const r = this.findRegion(addr, size);
+        if (!r) {
+            throw new Error(
+                `Fallo de acceso a memoria: ${toHex32(addr)} (${size} byte(s)) fuera de los segmentos mapeados`
+            );
+        }
+        return r;
+    }
+}
+
+export function checkDataMemSize(bytes) {
+    const n = Number(bytes);
+    if (!Number.isInteger(n) || n % 4 !== 0 || n < DATA_MEM_MIN_BYTES || n > DATA_MEM_MAX_BYTES) {
+        throw new Error(
+            `Tamaño de memoria inválido: ${bytes} (debe ser múltiplo de 4 entre ` +
+            `${DATA_MEM_MIN_BYTES} y ${DATA_MEM_MAX_BYTES} bytes)`
+        );
+    }
+    return n;
+}
+
+function makeRegion(name, base, size) {
+    base = base >>> 0;
+    if (base % 4 !== 0 || base + size > 0x100000000) {
+        throw new Error(`Segmento ${name} inválido: base ${toHex32(base)}`);
+    }
+    return { name, base, size, bytes: new Uint8Array(size) };
+}
+
+function checkRegions(regions) {
+    for (let i = 0; i < regions.length; i++) {
+        for (let j = i + 1; j < regions.length; j++) {
+            const a = regions[i];
+            const b = regions[j];
+            if (a.base < b.base + b.size && b.base < a.base + a.size) {
+                throw new Error(`Los segmentos ${a.name} y ${b.name} se traslapan`);
+            }
+        }
+    }
+}
@@ -0,0 +1,312 @@
+import { RISCVProcessor, Stage, isHaltInstruction } from './cpu.js';
+import { alu } from './alu.js';
+import { controlUnit } from './control.js';
+import { instructionClass } from './profile.js';
+
+// Procesador multiciclo: cada step() es un ciclo de reloj y una unidad de control
+// de estados finitos (FSM) decide qué hace el datapath en cada uno. Entre ciclos
+// los valores se guardan en los registros internos IR, A, B, ALUOut y MDR, así que
+// una instrucción tarda de 3 a 5 ciclos según su clase y nunca se solapa con otra.
+
+// Estados de la FSM en el orden del diagrama (el índice es el número de estado).
+// signals: señales de control activas en el estado; registers: qué se escribe.
+export const FSM_STATES = [
+    {
+        id: "FETCH", stage: Stage.FETCH, label: "Fetch",
+        signals: { IRWrite: 1, PCWrite: 1, ALUSrcA: "PC", ALUSrcB: "4", ALUOp: "suma", PCSource: "ALU" },
+        registers: "IR ← Mem[PC]; PC ← PC + 4",
+    },
+    {
+        id: "DECODE", stage: Stage.DECODE, label: "Decode",
+        signals: { ALUSrcA: "PC", ALUSrcB: "imm", ALUOp: "suma" },
+        registers: "A ← Reg[rs1]; B ← Reg[rs2]; ALUOut ← PC + imm",
+    },
+    {
+        id: "MEM_ADDR", stage: Stage.EXEC, label: "Dirección",
+        signals: { ALUSrcA: "A", ALUSrcB: "imm", ALUOp: "suma" },
+        registers: "ALUOut ← A + imm",
+    },
+    {
+        id: "MEM_READ", stage: Stage.MEM, label: "Lectura",
+        signals: { MemRead: 1 },
+        registers: "MDR ← Mem[ALUOut]",
+    },
+    {
+        id: "LOAD_WB", stage: Stage.WB, label: "WB load",
+        signals: { RegWrite: 1, MemToReg: "MDR" },
+        registers: "Reg[rd] ← MDR",
+    },
+    {
+        id: "MEM_WRITE", stage: Stage.MEM, label: "Escritura",
+        signals: { MemWrite: 1 },
+        registers: "Mem[ALUOut] ← B",
+    },
+    {
+        id: "EXECUTE", stage: Stage.EXEC, label: "Ejecución",
+        signals: { ALUSrcA: "A / PC / 0", ALUSrcB: "B / imm", ALUOp: "funct" },
+        registers: "ALUOut ← A op B",
+    },
+    {
+        id: "ALU_WB", stage: Stage.WB, label: "WB ALU",
+        signals: { RegWrite: 1, MemToReg: "ALUOut" },
+        registers: "Reg[rd] ← ALUOut",
+    },
+    {
+        id: "BRANCH", stage: Stage.EXEC, label: "Branch",
+        signals: { ALUSrcA: "A", ALUSrcB: "B", ALUOp: "comparación", PCWriteCond: 1, PCSource: "ALUOut" },
+        registers: "si se cumple: PC ← ALUOut",
+    },
+    {
+        id: "JUMP", stage: Stage.EXEC, label: "Salto",
+        signals: { ALUSrcA: "PC / A", ALUSrcB: "imm", ALUOp: "suma", PCWrite: 1, PCSource: "ALU", RegWrite: 1, MemToReg: "PC" },
+        registers: "Reg[rd] ← PC; PC ← destino",
+    },
+];
+
+const STATES_BY_ID = Object.fromEntries(FSM_STATES.map((s, i) => [s.id, { ...s, number: i }]));
+
+export function fsmState(id) {
+    return STATES_BY_ID[id] ?? null;
+}
+
+// Transición de la FSM. decoded sólo hace falta al salir de DECODE (y de MEM_ADDR);
+// "FETCH" tras el último estado de cada instrucción.
+export function fsmNextState(id, decoded) {
+    switch (id) {
+        case "FETCH": return "DECODE";
+        case "DECODE":
+            switch (instructionClass(decoded)) {
+                case "load":
+                case "store": return "MEM_ADDR";
+                case "branch": return "BRANCH";
+                case "jump": return "JUMP";
+                default: return "EXECUTE";
+            }
+        case "MEM_ADDR": return decoded.opcode === 0x03 ? "MEM_READ" : "MEM_WRITE";
+        case "MEM_READ": return "LOAD_WB";
+        case "EXECUTE": return "ALU_WB";
+        default: return "FETCH";
+    }
+}
+
+// Ciclos de cada clase de instrucción: los estados que recorre desde FETCH
+const CLASS_SAMPLES = {
+    alu: { opcode: 0x33, funct7: 0 },
+    mul: { opcode: 0x33, funct7: 0x01 },
+    load: { opcode: 0x03 },
+    store: { opcode: 0x23 },
+    branch: { opcode: 0x63 },
+    jump: { opcode: 0x6F },
+    upper: { opcode: 0x37 },
+};
+
+export const MULTICYCLE_CYCLES = Object.fromEntries(Object.entries(CLASS_SAMPLES).map(([cls, decoded]) => {
+    let cycles = 1;
+    for (let id = "FETCH"; (id = fsmNextState(id, decoded)) !== "FETCH";) cycles++;
+    return [cls, cycles];
+}));
+
+function initialFsm() {
+    return { state: "FETCH", pc: null, IR: 0, A: 0, B: 0, ALUOut: 0, MDR: 0, current: null };
+}
+
+export class MultiCycleProcessor extends RISCVProcessor {
+    get model() {
+        return "multicycle";
+    }
+
+    reset() {
+        super.reset();
+        // Estado de la FSM y registros internos; current es el resultado parcial de
+        // la instrucción en curso (mismos campos que RISCVProcessor.step())
+        this.fsm = initialFsm();
+    }
+
+    // Estado ejecutado en el último ciclo (null antes del primero)
+    get lastState() {
+        return this.history[this.historyPos - 1]?.fsm_before.state ?? null;
+    }
+
+    // Etapa del datapath que usó el último ciclo con la instrucción en curso, con la
+    // misma forma que PipelinedProcessor.stages (las demás etapas quedan en null)
+    get stages() {
+        const stages = Object.fromEntries(Object.values(Stage).map(stage => [stage, null]));
+        const d = this.history[this.historyPos - 1];
+        if (!d) return stages;
+        const state = d.fsm_before.state;
+        const instr = state === "FETCH" ? (d.instr ?? d.fsm_after.IR) : d.fsm_before.IR;
+        stages[fsmState(state).stage] = { pc_before: d.pc, instr, fsmState: state };
+        return stages;
+    }
+
+    // Un ciclo de reloj. Devuelve el resultado de la instrucción si terminó en este
+    // ciclo, o null si sigue en curso.
+    step() {
+        if (this.state.halted) return null;
+
+        const before = this.fsm;
+        const fsm = { ...before };
+        const pc_reg_before = this.state.pc >>> 0;
+        const regs = this.state.regs;
+        let cur = before.current;
+        let retired = null;
+        let reg_old = null;
+        let mem_old = null;
+
+        switch (before.state) {
+            case "FETCH": {
+                const pc = pc_reg_before;
+                const instr = this.fetch(pc);
+                if (isHaltInstruction(instr)) {
+                    // Como en el monociclo, el fin de programa no consume un ciclo
+                    this.state.halted = true;
+                    this._recordStep({
+                        pc, cycle: this.state.cycle, instr, result: null, halted: true, cycle_after: this.state.cycle,
+                        pc_reg_before, pc_reg_after: pc, fsm_before: before, fsm_after: before,
+                    });
+                    return null;
+                }
+                fsm.pc = pc;
+                fsm.IR = instr;
+                fsm.ALUOut = (pc + 4) >>> 0;
+                cur = {
+                    instr, pc_before: pc, pc_after: null, decoded: null, ctrl: null,
+                    rs1_val: null, rs2_val: null, alu_res: null, alu_a: null, alu_b: null,
+                    mem_data: 0, mem_addr: null, mem_index: null, wb_we: false, wb_rd: null, wb_val: null,
+                };
+                this.state.pc = fsm.ALUOut;
+                break;
+            }
+            case "DECODE": {
+                const decoded = this.decode(before.IR);
+                const ctrl = controlUnit(decoded);
+                fsm.A = regs[decoded.rs1] >>> 0;
+                fsm.B = regs[decoded.rs2] >>> 0;
+                fsm.ALUOut = (before.pc + decoded.imm) >>> 0;
+                cur = { ...cur, decoded, ctrl, rs1_val: fsm.A, rs2_val: fsm.B };
+                break;
+            }
+            case "MEM_ADDR":
+            case "EXECUTE":
+            case "BRANCH":
+            case "JUMP": {
+                const { decoded, ctrl } = cur;
+                const alu_a = this._aluInputA(ctrl, before.A | 0, before.pc);
+                const alu_b = ctrl.alu_src ? decoded.imm : before.B | 0;
+                const alu_res = alu(alu_a, alu_b, ctrl.alu_op);
+                cur = { ...cur, alu_a: alu_a >>> 0, alu_b, alu_res };
+                if (before.state === "MEM_ADDR" || before.state === "EXECUTE") {
+                    fsm.ALUOut = alu_res >>> 0;
+                    break;
+                }
+                // BRANCH compara A y B (el destino ya está en ALUOut); JUMP enlaza y salta
+                this.state.pc = this._nextPc(before.pc, decoded, ctrl, alu_res) >>> 0;
+                if (before.state === "JUMP") {
+                    reg_old = this._writeRegister(decoded.rd, this._writeBackValue(decoded, ctrl, alu_res, 0, before.pc));
+                    if (reg_old !== null) cur = { ...cur, wb_we: true, wb_rd: decoded.rd, wb_val: regs[decoded.rd] };
+                }
+                retired = cur;
+                break;
+            }
+            case "MEM_READ":
+            case "MEM_WRITE": {
+                const { decoded, ctrl } = cur;
+                const access = this._memStage(decoded, ctrl, before.ALUOut, before.B);
+                mem_old = access.mem_old;
+                fsm.MDR = access.memData >>> 0;
+                cur = { ...cur, mem_data: access.memData >>> 0, mem_addr: access.mem_addr, mem_index: access.mem_index };
+                if (before.state === "MEM_WRITE") retired = cur;
+                break;
+            }
+            case "LOAD_WB":
+            case "ALU_WB": {
+                const { decoded, ctrl } = cur;
+                const value = before.state === "LOAD_WB" ? before.MDR : before.ALUOut;
+                reg_old = this._writeRegister(decoded.rd, value);
+                if (reg_old !== null) cur = { ...cur, wb_we: true, wb_rd: decoded.rd, wb_val: value >>> 0 };
+                retired = cur;
+                break;
+            }
+        }
+
+        if (retired) {
+            retired = { ...retired, pc_after: this.state.pc >>> 0 };
+            fsm.state = "FETCH";
+            fsm.current = null;
+        } else {
+            fsm.state = fsmNextState(before.state, cur.decoded);
+            fsm.current = cur;
+        }
+
+        const cycle = this.state.cycle;
+        this.state.cycle++;
+        this.fsm = fsm;
+
+        const store = before.state === "MEM_WRITE" ? cur : null;
+        this._recordStep({
+            pc: cur.pc_before,
+            cycle,
+            rd: reg_old !== null ? cur.decoded.rd : null,
+            reg_old,
+            reg_new: reg_old !== null ? regs[cur.decoded.rd] : null,
+            mem_addr: store ? store.mem_addr : null,
+            mem_size: store ? store.ctrl.mem_size : null,
+            mem_old,
+            mem_new: store ? store.rs2_val : null,
+            result: retired,
+            halted: false,
+            cycle_after: this.state.cycle,
+            pc_reg_before,
+            pc_reg_after: this.state.pc >>> 0,
+            fsm_before: before,
+            fsm_after: fsm,
+        });
+        return retired;
+    }
+
+    // Sin animación por etapa: un ciclo y una pausa para la interfaz
+    async stepWithStageDelay(onClock, stageDelay = 400) {
+        if (this.state.halted) return null;
+        const state = this.fsm.state;
+        const result = this.step();
+        if (onClock) onClock(fsmState(state).stage, result);
+        await this._delay(stageDelay);
+        return result;
+    }
+
+    stepBack() {
+        const d = super.stepBack();
+        if (!d) return null;
+        this.state.pc = d.pc_reg_before;
+        this.fsm = d.fsm_before;
+        return d;
+    }
+
+    stepRedo() {
+        const d = super.stepRedo();
+        if (!d) return null;
+        this.state.pc = d.pc_reg_after;
+        this.state.cycle = d.cycle_after;
+        this.state.halted = d.halted;
+        this.fsm = d.fsm_after;
+        return d;
+    }
+
+    // Los breakpoints se comprueban al empezar una instrucción, no a mitad
+    atBreakpoint() {
+        return this.fsm.state === "FETCH" && super.atBreakpoint();
+    }
+
+    // Una instrucción a medias se vuelve a ejecutar desde su fetch
+    resumePc() {
+        return this.fsm.state === "FETCH" ? this.state.pc >>> 0 : this.fsm.pc >>> 0;
+    }
+
+    // Escribe rd (salvo x0); devuelve el valor anterior o null si no se escribió
+    _writeRegister(rd, value) {
+        if (rd === 0) return null;
+        const old = this.state.regs[rd];
+        this.state.regs[rd] = value >>> 0;
+        return old;
+    }
+}
@@ -0,0 +1,373 @@
+import { RISCVProcessor, Stage, isHaltInstruction } from './cpu.js';
+import { alu } from './alu.js';
+import { controlUnit } from './control.js';
+import { Segment } from './memory.js';
+import { BranchPredictor, isControlTransfer } from './predictor.js';
+import { toHex32 } from './utils.js';
+
+// Procesador segmentado de 5 etapas con registros IF/ID, ID/EX, EX/MEM y MEM/WB.
+// Cada step() es un ciclo de reloj: todas las etapas avanzan a la vez y hasta cinco
+// instrucciones se solapan. El fetch sigue la predicción del predictor de saltos
+// (src/core/predictor.js); los branches y saltos se resuelven en EX y, si la
+// predicción falló, se descartan (flush) las dos instrucciones más jóvenes. La unidad de riesgos (en ID) detiene la instrucción que lee un registro
+// aún no escrito (stall: burbuja en EX) salvo que un camino de forwarding activo
+// (EX→EX desde EX/MEM, MEM→EX desde MEM/WB) pueda darle el valor; un load seguido de
+// una instrucción que usa su resultado siempre cuesta al menos un stall.
+
+export const PIPELINE_STAGES = [Stage.FETCH, Stage.DECODE, Stage.EXEC, Stage.MEM, Stage.WB];
+
+// Registros de segmentación: cada uno guarda la instrucción en vuelo (o null = burbuja).
+// Una instrucción en vuelo usa los mismos campos que el resultado de RISCVProcessor.step()
+// (pc_before, instr, decoded, ctrl, rs1_val, ..., wb_val) más:
+//   seq: número de orden de fetch
+//   predicted_pc: PC que buscó el fetch a continuación
+//   prediction: { taken, target, predicted_pc } del predictor (sólo branches/saltos)
+//   halt: ECALL/EBREAK/instrucción nula (termina al llegar a WB)
+//   fault: mensaje de fallo de fetch (se produce al llegar a WB)
+//   forward: { rs1, rs2 } camino de forwarding de cada operando en EX ("exex" | "memex" | null)
+function emptyPipe() {
+    return { ifid: null, idex: null, exmem: null, memwb: null };
+}
+
+function emptyStages() {
+    return Object.fromEntries(PIPELINE_STAGES.map(stage => [stage, null]));
+}
+
+function emptyHazardStats() {
+    return { stalls: 0, loadUseStalls: 0, flushes: 0, forwardExEx: 0, forwardMemEx: 0 };
+}
+
+// Instrucción en vuelo que escribirá un registro en WB
+function writesRegister(slot) {
+    const decoded = slot?.decoded;
+    return !!decoded && !slot.ctrl.wem && decoded.opcode !== 0x63 && decoded.rd !== 0;
+}
+
+// Operandos leídos del banco de registros según el formato
+function sourceOperands({ opcode }) {
+    switch (opcode) {
+        case 0x33:
+        case 0x23:
+        case 0x63: return ["rs1", "rs2"];
+        case 0x13:
+        case 0x03:
+        case 0x67: return ["rs1"];
+        default: return [];
+    }
+}
+
+export class PipelinedProcessor extends RISCVProcessor {
+    constructor({ forwarding = {}, predictor = {}, ...options } = {}) {
+        super(options);
+        // Caminos de forwarding; se pueden cambiar entre ciclos
+        this.forwarding = { exex: forwarding.exex ?? true, memex: forwarding.memex ?? true };
+        this.predictor = new BranchPredictor(predictor);
+    }
+
+    // Cambia el predictor de saltos ({ kind, bhtSize, btbSize }); reinicia la máquina
+    setPredictor(config) {
+        this.predictor = new BranchPredictor({ ...this.predictor.config, ...config });
+        this.reset();
+    }
+
+    get model() {
+        return "pipeline";
+    }
+
+    reset() {
+        super.reset();
+        this.pipe = emptyPipe();
+        // Instrucción que ocupó cada etapa en el último ciclo (vista de la interfaz);
+        // las descartadas llevan flushed: true
+        this.stages = emptyStages();
+        this.fetchSeq = 0;
+        // Ciclos de stall (y cuántos por load-use), burbujas de flush y operandos adelantados
+        this.hazardStats = emptyHazardStats();
+        this.predictor?.reset();
+    }
+
+    // Un ciclo de reloj. Devuelve la instrucción retirada en WB (mismo formato que
+    // RISCVProcessor.step()) o null si por WB pasó una burbuja.
+    step() {
+        if (this.state.halted) return null;
+
+        const pipe = this.pipe;
+        const regs = this.state.regs;
+        const hazards_before = this.hazardStats;
+        const stats = { ...hazards_before };
+        const fetch_pc = this.state.pc >>> 0;
+        const fetch_seq = this.fetchSeq;
+        const stages = emptyStages();
+
+        // Un fallo de fetch sólo es real si la instrucción llega a retirarse
+        if (pipe.memwb?.fault) {
+            this.state.halted = true;
+            throw new Error(pipe.memwb.fault);
+        }
+
+        // MEM antes que WB: un fallo de acceso detiene el reloj sin cambiar registros
+        let memwb = null;
+        let mem_old = null;
+        const m = pipe.exmem;
+        if (m) {
+            memwb = m;
+            if (m.decoded) {
+                const access = this._memStage(m.decoded, m.ctrl, m.alu_res, m.rs2_val);
+                memwb = { ...m, mem_data: access.memData >>> 0, mem_addr: access.mem_addr, mem_index: access.mem_index };
+                mem_old = access.mem_old;
+            }
+            stages[Stage.MEM] = memwb;
+        }
+
+        // WB: escribe en la primera mitad del ciclo, así ID lee el valor nuevo
+        let retired = null;
+        let haltInstr;
+        let reg_old = null;
+        const w = pipe.memwb;
+        if (w) {
+            if (w.halt) {
+                this.state.halted = true;
+                haltInstr = w.instr;
+                stages[Stage.WB] = w;
+            } else {
+                let wb_we = false;
+                let wb_rd = null;
+                let wb_val = null;
+                const { decoded, ctrl } = w;
+                if (writesRegister(w)) {
+                    const value = this._writeBackValue(decoded, ctrl, w.alu_res, w.mem_data, w.pc_before) >>> 0;
+                    reg_old = regs[decoded.rd];
+                    regs[decoded.rd] = value;
+                    wb_we = true;
+                    wb_rd = decoded.rd;
+                    wb_val = value;
+                }
+                retired = { ...w, wb_we, wb_rd, wb_val };
+                stages[Stage.WB] = retired;
+            }
+        }
+
+        // EX: ALU y resolución de branches/saltos
+        let exmem = null;
+        let redirect = null;
+        let predictorChange = null;
+        const x = pipe.idex;
+        if (x) {
+            exmem = x;
+            if (x.decoded) {
+                const { decoded, ctrl } = x;
+                // Muxes de forwarding: el valor de EX/MEM (instrucción anterior) o el
+                // que WB acaba de escribir (MEM/WB), en lugar del leído en ID
+                const operand = (name) => {
+                    const source = x.forward?.[name];
+                    if (source === "exex") {
+                        stats.forwardExEx++;
+                        return this._writeBackValue(m.decoded, m.ctrl, m.alu_res, 0, m.pc_before) >>> 0;
+                    }
+                    if (source === "memex") {
+                        stats.forwardMemEx++;
+                        return retired.wb_val;
+                    }
+                    return x[`${name}_val`];
+                };
+                const rs1_val = operand("rs1");
+                const rs2_val = operand("rs2");
+                const alu_a = this._aluInputA(ctrl, rs1_val | 0, x.pc_before);
+                const alu_b = ctrl.alu_src ? decoded.imm : rs2_val | 0;
+                const alu_res = alu(alu_a, alu_b, ctrl.alu_op);
+                const pc_after = this._nextPc(x.pc_before, decoded, ctrl, alu_res) >>> 0;
+                exmem = { ...x, rs1_val, rs2_val, alu_a: alu_a >>> 0, alu_b, alu_res, pc_after };
+                if (pc_after !== x.predicted_pc) redirect = pc_after;
+                if (isControlTransfer(decoded.opcode)) {
+                    const taken = decoded.opcode !== 0x63 || pc_after !== ((x.pc_before + 4) >>> 0);
+                    predictorChange = this.predictor.update(x.pc_before, decoded.opcode, {
+                        taken,
+                        target: pc_after,
+                        correct: redirect === null,
+                    });
+                }
+            }
+            stages[Stage.EXEC] = exmem;
+        }
+
+        // ID: decodificación, control, lectura del banco de registros y unidad de riesgos
+        let idex = null;
+        let stall = null;
+        const d = pipe.ifid;
+        if (d) {
+            idex = d;
+            if (!d.halt && !d.fault) {
+                const decoded = this.decode(d.instr);
+                const ctrl = controlUnit(decoded);
+                const hazard = redirect === null ? this._detectHazard(decoded, x, m) : { stall: null, forward: null };
+                if (hazard.stall) {
+                    // La instrucción se queda en IF/ID y a EX pasa una burbuja
+                    stall = hazard.stall;
+                    idex = null;
+                    stages[Stage.DECODE] = { ...d, decoded, ctrl, stalled: stall };
+                    stats.stalls++;
+                    if (stall === "load-use") stats.loadUseStalls++;
+                } else {
+                    idex = {
+                        ...d,
+                        decoded,
+                        ctrl,
+                        rs1_val: regs[decoded.rs1] >>> 0,
+                        rs2_val: regs[decoded.rs2] >>> 0,
+                        forward: hazard.forward,
+                    };
+                }
+            }
+            if (!stall) stages[Stage.DECODE] = idex;
+        }
+
+        // IF: no se busca nada más mientras haya un fin de programa (o un fallo) en
+        // vuelo; en un stall el PC y IF/ID no cambian
+        let ifid = null;
+        const haltInFlight = [idex, exmem, memwb].some(s => s?.halt || s?.fault) && redirect === null;
+        if (stall) {
+            ifid = d;
+            if (!haltInFlight) stages[Stage.FETCH] = { ...this._fetchSlot(fetch_pc, { peek: true }), stalled: stall };
+        } else if (!haltInFlight && !this.state.halted) {
+            ifid = this._fetchSlot(fetch_pc);
+            stages[Stage.FETCH] = ifid;
+            this.state.pc = ifid.predicted_pc;
+        }
+
+        // Branch/salto mal predicho: se descartan las instrucciones en IF e ID
+        if (redirect !== null) {
+            if (idex) stages[Stage.DECODE] = { ...idex, flushed: true };
+            if (ifid) stages[Stage.FETCH] = { ...ifid, flushed: true };
+            stats.flushes += (idex ? 1 : 0) + (ifid ? 1 : 0);
+            idex = null;
+            ifid = null;
+            this.state.pc = redirect;
+        }
+
+        const cycle = this.state.cycle;
+        this.state.cycle++;
+        this.pipe = { ifid, idex, exmem, memwb };
+        this.stages = stages;
+        this.hazardStats = stats;
+
+        const store = memwb?.ctrl?.wem ? memwb : null;
+        const retiredSlot = retired ?? (haltInstr !== undefined ? w : null);
+        this._recordStep({
+            pc: retiredSlot ? retiredSlot.pc_before : null,
+            cycle,
+            rd: retired?.wb_we ? retired.wb_rd : null,
+            reg_old,
+            reg_new: retired?.wb_val ?? null,
+            mem_addr: store ? store.mem_addr : null,
+            mem_size: store ? store.ctrl.mem_size : null,
+            mem_old,
+            mem_new: store ? store.rs2_val : null,
+            result: retired,
+            instr: haltInstr,
+            halted: this.state.halted,
+            fetch_pc,
+            fetch_seq,
+            fetch_pc_after: this.state.pc >>> 0,
+            fetch_seq_after: this.fetchSeq,
+            pipe_before: pipe,
+            pipe_after: this.pipe,
+            stages,
+            hazards_before,
+            hazards_after: stats,
+            predictor_change: predictorChange,
+        });
+        return retired;
+    }
+
+    // En pipeline no hay animación por etapa: un ciclo y una pausa para la interfaz
+    async stepWithStageDelay(onClock, stageDelay = 400) {
+        if (this.state.halted) return null;
+        const result = this.step();
+        if (onClock) onClock(this.stages, result);
+        await this._delay(stageDelay);
+        return result;
+    }
+
+    stepBack() {
+        const d = super.stepBack();
+        if (!d) return null;
+        this.state.pc = d.fetch_pc;
+        this.fetchSeq = d.fetch_seq;
+        this.pipe = d.pipe_before;
+        this.hazardStats = d.hazards_before;
+        if (d.predictor_change) this.predictor.revert(d.predictor_change);
+        this.stages = this.history[this.historyPos - 1]?.stages ?? emptyStages();
+        return d;
+    }
+
+    stepRedo() {
+        const d = super.stepRedo();
+        if (!d) return null;
+        this.state.pc = d.fetch_pc_after;
+        this.state.cycle = d.cycle + 1;
+        this.state.halted = d.halted;
+        this.fetchSeq = d.fetch_seq_after;
+        this.pipe = d.pipe_after;
+        this.hazardStats = d.hazards_after;
+        if (d.predictor_change) this.predictor.apply(d.predictor_change);
+        this.stages = d.stages;
+        return d;
+    }
+
+    // Los breakpoints se comprueban al retirar: el fetch puede ser especulativo, pero lo
+    // que llega a MEM/WB ya no se descarta. Se para antes del ciclo de su WB, con las
+    // instrucciones anteriores retiradas (su acceso a memoria ya se hizo en MEM)
+    atBreakpoint() {
+        const w = this.pipe.memwb;
+        return !this.state.halted && !!w && this.breakpoints.has(w.pc_before >>> 0);
+    }
+
+    // La instrucción en vuelo más antigua: al reanudar sin pipeline se vuelve a
+    // ejecutar desde ella (un store en MEM/WB ya escribió, pero repetirlo es inocuo)
+    resumePc() {
+        const { memwb, exmem, idex, ifid } = this.pipe;
+        const oldest = memwb ?? exmem ?? idex ?? ifid;
+        return oldest ? oldest.pc_before >>> 0 : this.state.pc >>> 0;
+    }
+
+    // Riesgo de datos de la instrucción en ID con las que van por delante: ex (ahora
+    // en EX, el siguiente ciclo en EX/MEM) y mem (ahora en MEM, luego en MEM/WB).
+    // Devuelve { stall: "raw" | "load-use" | null, forward: { rs1, rs2 } }
+    _detectHazard(decoded, ex, mem) {
+        const forward = { rs1: null, rs2: null };
+        for (const name of sourceOperands(decoded)) {
+            const reg = decoded[name];
+            if (reg === 0) continue;
+            // El productor más cercano manda (es el valor más reciente del registro)
+            if (writesRegister(ex) && ex.decoded.rd === reg) {
+                const isLoad = ex.decoded.opcode === 0x03;
+                if (isLoad || !this.forwarding.exex) return { stall: isLoad ? "load-use" : "raw", forward };
+                forward[name] = "exex";
+            } else if (writesRegister(mem) && mem.decoded.rd === reg) {
+                if (!this.forwarding.memex) return { stall: mem.decoded.opcode === 0x03 ? "load-use" : "raw", forward };
+                forward[name] = "memex";
+            }
+        }
+        return { stall: null, forward };
+    }
+
+    // peek: sólo lectura (la instrucción que se buscará cuando acabe un stall)
+    _fetchSlot(pc, { peek = false } = {}) {
+        const slot = { seq: peek ? this.fetchSeq : this.fetchSeq++, pc_before: pc, instr: 0, predicted_pc: (pc + 4) >>> 0 };
+        if (this.state.mem.segmentOf(pc) !== Segment.TEXT || (pc & 0x3) !== 0) {
+            slot.fault = `Fallo de acceso a instrucción: PC = ${toHex32(pc)} fuera del segmento de texto`;
+            return slot;
+        }
+        slot.instr = this.state.mem.read(pc, 4);
+        if (isHaltInstruction(slot.instr)) {
+            slot.halt = true;
+            return slot;
+        }
+        const prediction = this.predictor.predict(pc, this.decode(slot.instr));
+        if (prediction) {
+            slot.prediction = prediction;
+            slot.predicted_pc = prediction.predicted_pc;
+        }
+        return slot;
+    }
+}
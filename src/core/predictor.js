@@ -0,0 +1,177 @@
+// Predictores de saltos para el modelo pipeline. El fetch pide una predicción para
+// cada branch/salto (predict) y EX, al resolverlo, actualiza las tablas (update).
+// Cada actualización devuelve un cambio que revert()/apply() deshacen y rehacen,
+// así el predictor sigue a Back/Historial igual que registros y memoria.
+
+export const PREDICTOR_KINDS = ["not-taken", "taken", "btfn", "1bit", "2bit"];
+
+// Ciclos que cuesta un fallo de predicción: las dos instrucciones buscadas detrás
+// del branch hasta que se resuelve en EX
+export const MISPREDICT_PENALTY = 2;
+
+// Estado inicial de los contadores de 2 bits: débilmente no tomado
+const TWO_BIT_INITIAL = 1;
+
+const OPCODE_BRANCH = 0x63;
+const OPCODE_JAL = 0x6F;
+const OPCODE_JALR = 0x67;
+
+export function isControlTransfer(opcode) {
+    return opcode === OPCODE_BRANCH || opcode === OPCODE_JAL || opcode === OPCODE_JALR;
+}
+
+function checkTableSize(size, name, { allowZero = false } = {}) {
+    if (!Number.isInteger(size) || size < (allowZero ? 0 : 1) || size > 4096 || (size & (size - 1)) !== 0) {
+        throw new Error(`Tamaño de ${name} inválido: ${size} (potencia de 2 hasta 4096${allowZero ? ', o 0' : ''})`);
+    }
+    return size;
+}
+
+export class BranchPredictor {
+    // kind: uno de PREDICTOR_KINDS. bhtSize: entradas de la tabla de historia (1/2 bits).
+    // btbSize: entradas del BTB (0 = sin BTB: el destino se calcula al buscar la
+    // instrucción, como si IF predecodificara el inmediato; los jalr no se predicen)
+    constructor({ kind = "not-taken", bhtSize = 16, btbSize = 0 } = {}) {
+        if (!PREDICTOR_KINDS.includes(kind)) throw new Error(`Predictor desconocido: ${kind}`);
+        this.kind = kind;
+        this.bhtSize = checkTableSize(bhtSize, "BHT");
+        this.btbSize = checkTableSize(btbSize, "BTB", { allowZero: true });
+        this.reset();
+    }
+
+    get config() {
+        return { kind: this.kind, bhtSize: this.bhtSize, btbSize: this.btbSize };
+    }
+
+    get dynamic() {
+        return this.kind === "1bit" || this.kind === "2bit";
+    }
+
+    reset() {
+        this.bht = new Uint8Array(this.bhtSize).fill(this.kind === "2bit" ? TWO_BIT_INITIAL : 0);
+        this.btb = new Array(this.btbSize).fill(null); // { tag: pc, target }
+        // Por dirección: { kind: "branch" | "jump", predictions, correct }
+        this.entries = new Map();
+        this.predictions = 0;
+        this.mispredictions = 0;
+        this.branchPredictions = 0;
+        this.branchCorrect = 0;
+    }
+
+    bhtIndex(pc) {
+        return (pc >>> 2) & (this.bhtSize - 1);
+    }
+
+    btbIndex(pc) {
+        return (pc >>> 2) & (this.btbSize - 1);
+    }
+
+    // Destino guardado en el BTB para pc (null si no hay BTB o no acierta la etiqueta)
+    btbTarget(pc) {
+        if (!this.btbSize) return null;
+        const entry = this.btb[this.btbIndex(pc)];
+        return entry && entry.tag === pc >>> 0 ? entry.target : null;
+    }
+
+    // Predicción para la instrucción en pc ({ opcode, imm } predecodificados).
+    // Devuelve { taken, target, predicted_pc } o null si no es un branch/salto.
+    predict(pc, { opcode, imm }) {
+        if (!isControlTransfer(opcode)) return null;
+        pc >>>= 0;
+
+        let target;
+        if (this.btbSize) target = this.btbTarget(pc);
+        else target = opcode === OPCODE_JALR ? null : (pc + imm) >>> 0;
+
+        let taken;
+        if (opcode !== OPCODE_BRANCH) {
+            taken = this.kind !== "not-taken";
+        } else {
+            switch (this.kind) {
+                case "not-taken": taken = false; break;
+                case "taken": taken = true; break;
+                case "btfn": taken = imm < 0; break; // Hacia atrás (bucles) tomado
+                case "1bit": taken = this.bht[this.bhtIndex(pc)] === 1; break;
+                case "2bit": taken = this.bht[this.bhtIndex(pc)] >= 2; break;
+            }
+        }
+        // Sin destino conocido sólo se puede seguir de largo
+        if (target === null) taken = false;
+        return { taken, target, predicted_pc: taken ? target : (pc + 4) >>> 0 };
+    }
+
+    // Resultado real de la instrucción en pc, resuelta en EX. correct: si el fetch
+    // siguió el camino bueno. Devuelve el cambio aplicado (para revert/apply).
+    update(pc, opcode, { taken, target, correct }) {
+        pc >>>= 0;
+        const change = { pc, kind: opcode === OPCODE_BRANCH ? "branch" : "jump", correct, bht: null, btb: null };
+
+        if (opcode === OPCODE_BRANCH && this.dynamic) {
+            const index = this.bhtIndex(pc);
+            const old = this.bht[index];
+            const next = this.kind === "1bit"
+                ? (taken ? 1 : 0)
+                : Math.max(0, Math.min(3, old + (taken ? 1 : -1)));
+            change.bht = { index, old, next };
+        }
+        if (this.btbSize && taken) {
+            const index = this.btbIndex(pc);
+            const old = this.btb[index];
+            if (!old || old.tag !== pc || old.target !== target >>> 0) {
+                change.btb = { index, old, next: { tag: pc, target: target >>> 0 } };
+            }
+        }
+        this.apply(change);
+        return change;
+    }
+
+    apply(change) {
+        if (change.bht) this.bht[change.bht.index] = change.bht.next;
+        if (change.btb) this.btb[change.btb.index] = change.btb.next;
+        this._count(change, 1);
+    }
+
+    revert(change) {
+        if (change.bht) this.bht[change.bht.index] = change.bht.old;
+        if (change.btb) this.btb[change.btb.index] = change.btb.old;
+        this._count(change, -1);
+    }
+
+    // Precisión sobre los branches condicionales (null si aún no hubo ninguno)
+    get accuracy() {
+        return this.branchPredictions ? this.branchCorrect / this.branchPredictions : null;
+    }
+
+    get penaltyCycles() {
+        return this.mispredictions * MISPREDICT_PENALTY;
+    }
+
+    // Filas para la tabla de predicción, por dirección
+    rows() {
+        return [...this.entries]
+            .sort((a, b) => a[0] - b[0])
+            .map(([pc, e]) => ({
+                pc,
+                ...e,
+                accuracy: e.predictions ? e.correct / e.predictions : null,
+                bhtIndex: e.kind === "branch" && this.dynamic ? this.bhtIndex(pc) : null,
+                bht: e.kind === "branch" && this.dynamic ? this.bht[this.bhtIndex(pc)] : null,
+                btbTarget: this.btbTarget(pc),
+            }));
+    }
+
+    _count(change, delta) {
+        this.predictions += delta;
+        if (!change.correct) this.mispredictions += delta;
+        if (change.kind === "branch") {
+            this.branchPredictions += delta;
+            if (change.correct) this.branchCorrect += delta;
+        }
+
+        let entry = this.entries.get(change.pc);
+        if (!entry) this.entries.set(change.pc, entry = { kind: change.kind, predictions: 0, correct: 0 });
+        entry.predictions += delta;
+        if (change.correct) entry.correct += delta;
+        if (entry.predictions === 0) this.entries.delete(change.pc);
+    }
+}
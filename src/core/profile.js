@@ -0,0 +1,177 @@
+// Perfil de ejecución: cuántas veces se ejecutó cada dirección, resultado de cada
+// branch y mezcla de instrucciones por formato. El procesador lo actualiza en cada
+// paso y lo revierte al deshacerlo, así que sigue a Back/Historial.
+
+export const INSTRUCTION_FORMATS = ["R", "I", "S", "B", "U", "J"];
+
+// Formato de codificación según el opcode (null si no es RV32IM)
+export function instructionFormat(opcode) {
+    switch (opcode) {
+        case 0x33: return "R";
+        case 0x13:
+        case 0x03:
+        case 0x67:
+        case 0x73: return "I";
+        case 0x23: return "S";
+        case 0x63: return "B";
+        case 0x37:
+        case 0x17: return "U";
+        case 0x6F: return "J";
+        default: return null;
+    }
+}
+
+// Clases de instrucción para las estadísticas de rendimiento
+export const INSTRUCTION_CLASSES = ["alu", "mul", "load", "store", "branch", "jump", "upper"];
+
+export function instructionClass({ opcode, funct7 }) {
+    switch (opcode) {
+        case 0x33: return funct7 === 0x01 ? "mul" : "alu";
+        case 0x13: return "alu";
+        case 0x03: return "load";
+        case 0x23: return "store";
+        case 0x63: return "branch";
+        case 0x6F:
+        case 0x67: return "jump";
+        case 0x37:
+        case 0x17: return "upper";
+        default: return null;
+    }
+}
+
+// Resumen de rendimiento. cycles viene del modelo de ejecución: en el modelo
+// monociclo coincide con las instrucciones retiradas, en otros no.
+export function performanceStats(profile, cycles) {
+    const branches = profile.branchesTaken + profile.branchesNotTaken;
+    return {
+        retired: profile.total,
+        cycles,
+        cpi: profile.total ? cycles / profile.total : null,
+        loads: profile.loads,
+        stores: profile.stores,
+        bytesRead: profile.bytesRead,
+        bytesWritten: profile.bytesWritten,
+        branches,
+        branchesTaken: profile.branchesTaken,
+        takenRatio: branches ? profile.branchesTaken / branches : null,
+        classes: { ...profile.classes },
+    };
+}
+
+export class ExecutionProfile {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.total = 0;
+        this.counts = new Map(); // pc -> ejecuciones
+        this.branches = new Map(); // pc -> { taken, notTaken }
+        this.mix = Object.fromEntries(INSTRUCTION_FORMATS.map(f => [f, 0]));
+        this.classes = Object.fromEntries(INSTRUCTION_CLASSES.map(c => [c, 0]));
+        this.loads = 0;
+        this.stores = 0;
+        this.bytesRead = 0;
+        this.bytesWritten = 0;
+        this.branchesTaken = 0;
+        this.branchesNotTaken = 0;
+    }
+
+    // Suma (delta = 1) o resta (delta = -1) el resultado de un paso
+    record(result, delta = 1) {
+        const pc = result.pc_before >>> 0;
+        const { opcode } = result.decoded;
+        this.total += delta;
+        this._add(this.counts, pc, delta);
+
+        const format = instructionFormat(opcode);
+        if (format) this.mix[format] += delta;
+        const cls = instructionClass(result.decoded);
+        if (cls) this.classes[cls] += delta;
+        if (opcode === 0x03) {
+            this.loads += delta;
+            this.bytesRead += delta * result.ctrl.mem_size;
+        }
+        if (opcode === 0x23) {
+            this.stores += delta;
+            this.bytesWritten += delta * result.ctrl.mem_size;
+        }
+
+        if (opcode === 0x63) {
+            let b = this.branches.get(pc);
+            if (!b) this.branches.set(pc, b = { taken: 0, notTaken: 0 });
+            const taken = (result.pc_after >>> 0) !== ((pc + 4) >>> 0);
+            if (taken) {
+                b.taken += delta;
+                this.branchesTaken += delta;
+            } else {
+                b.notTaken += delta;
+                this.branchesNotTaken += delta;
+            }
+            if (b.taken === 0 && b.notTaken === 0) this.branches.delete(pc);
+        }
+    }
+
+    // Forma serializable (instantáneas); restore() la vuelve a cargar
+    toJSON() {
+        return {
+            total: this.total,
+            counts: [...this.counts],
+            branches: [...this.branches].map(([pc, b]) => [pc, b.taken, b.notTaken]),
+            mix: { ...this.mix },
+            classes: { ...this.classes },
+            loads: this.loads,
+            stores: this.stores,
+            bytesRead: this.bytesRead,
+            bytesWritten: this.bytesWritten,
+            branchesTaken: this.branchesTaken,
+            branchesNotTaken: this.branchesNotTaken,
+        };
+    }
+
+    restore(data) {
+        this.clear();
+        this.total = data.total | 0;
+        this.counts = new Map(data.counts ?? []);
+        this.branches = new Map((data.branches ?? []).map(([pc, taken, notTaken]) => [pc, { taken, notTaken }]));
+        Object.assign(this.mix, data.mix);
+        Object.assign(this.classes, data.classes);
+        for (const key of ["loads", "stores", "bytesRead", "bytesWritten", "branchesTaken", "branchesNotTaken"]) {
+            this[key] = data[key] | 0;
+        }
+    }
+
+    countAt(pc) {
+        return this.counts.get(pc >>> 0) ?? 0;
+    }
+
+    branchAt(pc) {
+        return this.branches.get(pc >>> 0) ?? null;
+    }
+
+    // Ejecuciones por línea fuente (una línea puede ocupar varias direcciones:
+    // cuenta la que más se ejecutó). sourceLines[i] es la línea de la palabra i.
+    lineCounts(sourceLines, textBase) {
+        const lines = new Map();
+        for (const [pc, count] of this.counts) {
+            const line = sourceLines[(pc - textBase) >>> 2];
+            if (line == null) continue;
+            lines.set(line, Math.max(lines.get(line) ?? 0, count));
+        }
+        return lines;
+    }
+
+    // Direcciones ordenadas de más a menos ejecutadas
+    hotspots(limit = Infinity) {
+        return [...this.counts]
+            .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+            .slice(0, limit)
+            .map(([pc, count]) => ({ pc, count, branch: this.branchAt(pc) }));
+    }
+
+    _add(map, key, delta) {
+        const value = (map.get(key) ?? 0) + delta;
+        if (value > 0) map.set(key, value);
+        else map.delete(key);
+    }
+}
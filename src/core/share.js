@@ -0,0 +1,72 @@
+// Enlaces para compartir: el programa y los ajustes del simulador se comprimen
+// (deflate) en el fragmento de la URL, #share=<base64url>. El fragmento no llega
+// al servidor, así que el enlace funciona también con la página abierta en local.
+export const SHARE_PARAM = "share";
+export const SHARE_VERSION = 1;
+
+// Prefijo del contenido: "z" comprimido, "j" JSON sin comprimir (navegadores sin
+// CompressionStream)
+export async function encodeShareState(state) {
+    const json = JSON.stringify({ v: SHARE_VERSION, ...state });
+    const bytes = new TextEncoder().encode(json);
+    if (typeof CompressionStream === "undefined") return "j" + toBase64Url(bytes);
+    return "z" + toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")));
+}
+
+export async function decodeShareState(text) {
+    const kind = text[0];
+    let bytes = fromBase64Url(text.slice(1));
+    if (kind === "z") {
+        if (typeof DecompressionStream === "undefined") {
+            throw new Error("Este navegador no puede descomprimir enlaces compartidos");
+        }
+    } else if (kind !== "j") {
+        throw new Error("Enlace compartido inválido");
+    }
+
+    let state;
+    try {
+        if (kind === "z") bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+        state = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+        throw new Error("Enlace compartido inválido o incompleto");
+    }
+    if (!(state.v >= 1 && state.v <= SHARE_VERSION)) {
+        throw new Error(`Versión de enlace ${state.v} no soportada (máximo ${SHARE_VERSION})`);
+    }
+    return state;
+}
+
+// URL con el estado en el fragmento (sustituye cualquier fragmento anterior)
+export async function buildShareUrl(baseUrl, state) {
+    const url = new URL(baseUrl);
+    url.hash = `${SHARE_PARAM}=${await encodeShareState(state)}`;
+    return url.toString();
+}
+
+// Contenido codificado del fragmento, o null si no es un enlace compartido
+export function shareFragment(hash) {
+    const prefix = `#${SHARE_PARAM}=`;
+    return hash.startsWith(prefix) ? hash.slice(prefix.length) : null;
+}
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+    let binary;
+    try {
+        binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    } catch {
+        throw new Error("Enlace compartido inválido");
+    }
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
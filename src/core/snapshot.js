@@ -0,0 +1,150 @@
+import { toHex32 } from './utils.js';
+import { Memory, Segment, checkDataMemSize } from './memory.js';
+import { ExecutionProfile } from './profile.js';
+
+// Instantánea completa de la máquina en JSON versionado: mapa de memoria, programa
+// cargado, registros, PC, contenido de la memoria y perfil, más los datos de la
+// interfaz que se pasen en extra (p. ej. el texto del editor).
+export const SNAPSHOT_FORMAT = "riscv-sim-snapshot";
+export const SNAPSHOT_VERSION = 1;
+
+// Los ceros cortos entre bytes no nulos no parten un bloque de memoria
+const MEMORY_GAP = 16;
+
+export function createSnapshot(cpu, extra = {}) {
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        layout: Object.fromEntries(Object.entries(cpu.layout).map(([k, v]) => [k, toHex32(v)])),
+        dataMemSize: cpu.dataMemSize,
+        program: {
+            text: Array.from(cpu.program, w => toHex32(w)),
+            data: bytesToHex(cpu.dataImage),
+            sourceLines: cpu.sourceLines,
+        },
+        state: {
+            pc: toHex32(cpu.resumePc()),
+            cycle: cpu.state.cycle,
+            halted: cpu.state.halted,
+            regs: Array.from(cpu.state.regs, r => toHex32(r)),
+        },
+        memory: cpu.state.mem.regions.flatMap(r => memoryBlocks(r)),
+        profile: cpu.profile.toJSON(),
+        ...extra,
+    };
+}
+
+// Restaura una instantánea (objeto o texto JSON) en cpu. Devuelve el objeto leído
+// para que la interfaz recupere sus propios campos. El historial queda vacío.
+export function restoreSnapshot(cpu, snapshot) {
+    const snap = typeof snapshot === "string" ? JSON.parse(snapshot) : snapshot;
+    if (snap?.format !== SNAPSHOT_FORMAT) {
+        throw new Error(`Formato de instantánea no reconocido (se esperaba "${SNAPSHOT_FORMAT}")`);
+    }
+    if (!(snap.version >= 1 && snap.version <= SNAPSHOT_VERSION)) {
+        throw new Error(`Versión de instantánea ${snap.version} no soportada (máximo ${SNAPSHOT_VERSION})`);
+    }
+    if (!Array.isArray(snap.state?.regs) || snap.state.regs.length !== 32) {
+        throw new Error("Instantánea inválida: se esperaban 32 registros");
+    }
+    if (!snap.layout || typeof snap.layout !== "object" || Array.isArray(snap.layout)) {
+        throw new Error("Instantánea inválida: falta el mapa de memoria");
+    }
+    if (!Array.isArray(snap.program?.text)) {
+        throw new Error("Instantánea inválida: falta el programa");
+    }
+
+    // Decodificar y validar todo antes de tocar el procesador: a partir de
+    // cpu.program = ... ya nada puede fallar
+    const layout = Object.fromEntries(Object.entries(snap.layout).map(([k, v]) => [k, parseHex(v)]));
+    const dataMemSize = checkDataMemSize(snap.dataMemSize);
+    const mem = new Memory({ ...cpu.layout, ...layout }, dataMemSize);
+    const program = Uint32Array.from(snap.program.text, parseHex);
+    const dataImage = hexToBytes(snap.program.data);
+    const blocks = (snap.memory ?? []).map(b => ({ addr: parseHex(b.addr), bytes: hexToBytes(b.bytes) }));
+    const regs = Uint32Array.from(snap.state.regs, parseHex);
+    const pc = parseHex(snap.state.pc);
+    if (snap.profile) {
+        try {
+            new ExecutionProfile().restore(snap.profile);
+        } catch {
+            throw new Error("Instantánea inválida: perfil de ejecución mal formado");
+        }
+    }
+
+    const textSize = mem.region(Segment.TEXT).size;
+    const dataSize = mem.region(Segment.DATA).size;
+    if (program.length * 4 > textSize) {
+        throw new Error(`Instantánea inválida: el programa no cabe en el segmento de texto (${textSize} bytes)`);
+    }
+    if (dataImage.length > dataSize) {
+        throw new Error(`Instantánea inválida: los datos (${dataImage.length} bytes) no caben en el segmento .data (${dataSize} bytes)`);
+    }
+    for (const block of blocks) {
+        if (block.bytes.length && !mem.findRegion(block.addr, block.bytes.length)) {
+            throw new Error(`Instantánea inválida: bloque de ${block.bytes.length} bytes en ${toHex32(block.addr)} fuera de los segmentos`);
+        }
+    }
+
+    cpu.program = program;
+    cpu.dataImage = dataImage;
+    cpu.sourceLines = snap.program.sourceLines ?? [];
+    cpu.dataMemSize = dataMemSize;
+    cpu.setLayout(layout); // Reinicia: historial y perfil vacíos
+
+    // La memoria se reconstruye entera desde la instantánea (también el código)
+    for (const r of cpu.state.mem.regions) r.bytes.fill(0);
+    for (const block of blocks) cpu.state.mem.loadBytes(block.addr, block.bytes);
+
+    cpu.state.regs = regs;
+    cpu.state.regs[0] = 0;
+    cpu.state.pc = pc;
+    cpu.state.cycle = snap.state.cycle | 0;
+    cpu.state.halted = !!snap.state.halted;
+    if (snap.profile) cpu.profile.restore(snap.profile);
+    cpu.retiredBeforeHistory = cpu.profile.total;
+    return snap;
+}
+
+// Bloques { addr, bytes } con el contenido no nulo de una región
+function memoryBlocks(region) {
+    const blocks = [];
+    const bytes = region.bytes;
+    let i = 0;
+    while (i < bytes.length) {
+        if (!bytes[i]) {
+            i++;
+            continue;
+        }
+        const start = i;
+        let end = i + 1;
+        while (end < bytes.length) {
+            let next = end;
+            while (next < bytes.length && !bytes[next] && next - end < MEMORY_GAP) next++;
+            if (next >= bytes.length || !bytes[next]) break;
+            end = next + 1;
+        }
+        blocks.push({ addr: toHex32(region.base + start), bytes: bytesToHex(bytes.subarray(start, end)) });
+        i = end;
+    }
+    return blocks;
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function hexToBytes(hex = "") {
+    if (hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) {
+        throw new Error("Instantánea inválida: bloque de bytes mal formado");
+    }
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return bytes;
+}
+
+function parseHex(value) {
+    const n = typeof value === "number" ? value : parseInt(String(value), 16);
+    if (!Number.isFinite(n)) throw new Error(`Instantánea inválida: valor "${value}"`);
+    return n >>> 0;
+}
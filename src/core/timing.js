@@ -0,0 +1,178 @@
+import { Stage } from './cpu.js';
+import { PIPELINE_STAGES } from './pipeline.js';
+import { toHex32 } from './utils.js';
+
+// Diagrama de tiempos del pipeline (instrucción × ciclo) a partir del historial de
+// un PipelinedProcessor: cada delta guarda qué instrucción ocupó cada etapa en su
+// ciclo. Incluye también los pasos deshechos (redo), para poder saltar hacia adelante.
+
+export const STAGE_ABBREVIATIONS = {
+    [Stage.FETCH]: "IF",
+    [Stage.DECODE]: "ID",
+    [Stage.EXEC]: "EX",
+    [Stage.MEM]: "MEM",
+    [Stage.WB]: "WB",
+};
+
+// { cycles: [primer, último], current, rows: [{ seq, pc, instr, flushed, partial, cells }],
+//   arrows: [{ from: { seq, cycle }, to: { seq, cycle }, kind: "exex" | "memex" }] }
+// cells: Map ciclo -> { stage, status: null | "stall" | "flush" }. Los ciclos empiezan
+// en 1, como en la traza. maxRows: instrucciones visibles, las últimas buscadas hasta
+// unos ciclos por delante de la posición actual del historial; sin maxRows, todo el
+// historial. partial: la fila empezó antes del historial conservado (le falta el IF).
+export function pipelineTimeline(cpu, { maxRows = Infinity } = {}) {
+    const rows = new Map();
+    const arrows = [];
+    let last = null;
+
+    const [lo, hi] = historyWindow(cpu, maxRows);
+    for (let i = lo; i < hi; i++) {
+        const d = cpu.history[i];
+        if (!d.stages) continue;
+        const cycle = d.cycle + 1;
+        last = cycle;
+        for (const stage of PIPELINE_STAGES) {
+            const slot = d.stages[stage];
+            if (!slot) continue;
+            let row = rows.get(slot.seq);
+            if (!row) rows.set(slot.seq, row = { seq: slot.seq, pc: slot.pc_before, instr: slot.instr, flushed: false, cells: new Map() });
+            const status = slot.flushed ? "flush" : slot.stalled ? "stall" : null;
+            if (slot.flushed) row.flushed = true;
+            row.cells.set(cycle, { stage, status });
+        }
+
+        // Forwarding hacia EX: desde EX (EX→EX) o MEM (MEM→EX) del ciclo anterior
+        const ex = d.stages[Stage.EXEC];
+        const sources = new Set(Object.values(ex?.forward ?? {}).filter(Boolean));
+        for (const kind of sources) {
+            const producer = d.stages[kind === "exex" ? Stage.MEM : Stage.WB];
+            if (producer) arrows.push({ from: { seq: producer.seq, cycle: cycle - 1 }, to: { seq: ex.seq, cycle }, kind });
+        }
+    }
+
+    const visible = [...rows.values()].sort((a, b) => a.seq - b.seq).slice(-maxRows);
+    const seqs = new Set(visible.map(r => r.seq));
+    let start = Infinity;
+    for (const row of visible) {
+        row.partial = ![...row.cells.values()].some(c => c.stage === Stage.FETCH);
+        for (const cycle of row.cells.keys()) start = Math.min(start, cycle);
+    }
+    const current = cpu.history[cpu.historyPos - 1]?.cycle;
+    return {
+        cycles: visible.length ? [start, last] : [null, null],
+        current: current === undefined ? null : current + 1,
+        rows: visible,
+        arrows: arrows.filter(a => seqs.has(a.from.seq) && seqs.has(a.to.seq) && a.from.cycle >= start),
+    };
+}
+
+// Pasos del historial [lo, hi) con las maxRows últimas instrucciones completas: desde
+// unos ciclos por delante de la posición actual hacia atrás hasta el ciclo en que se
+// buscó la más antigua (el fetch es en orden, así que antes no aparece ninguna)
+function historyWindow(cpu, maxRows) {
+    if (!Number.isFinite(maxRows)) return [0, cpu.history.length];
+
+    const hi = Math.min(cpu.history.length, cpu.historyPos + maxRows);
+    let newest = null;
+    for (let i = hi - 1; i >= 0 && newest === null; i--) {
+        const stages = cpu.history[i].stages;
+        if (!stages) continue;
+        for (const stage of PIPELINE_STAGES) {
+            if (stages[stage]) newest = Math.max(newest ?? -Infinity, stages[stage].seq);
+        }
+    }
+    if (newest === null) return [hi, hi];
+
+    const oldest = newest - maxRows + 1;
+    let lo = hi;
+    while (lo > 0 && !(cpu.history[lo - 1].stages?.[Stage.FETCH]?.seq < oldest)) lo--;
+    return [lo, hi];
+}
+
+const LABEL_WIDTH = 190;
+const CELL_WIDTH = 38;
+const CELL_HEIGHT = 20;
+const HEADER_HEIGHT = 24;
+
+// Estilos dentro del propio SVG: el archivo exportado se ve igual fuera de la página
+const TIMELINE_STYLE = `
+.tl-bg { fill: #0f172a; }
+.tl-label { fill: #cbd5e1; font: 11px monospace; }
+.tl-label.flushed { fill: #64748b; text-decoration: line-through; }
+.tl-head { fill: #94a3b8; font: 10px monospace; text-anchor: middle; }
+.tl-grid { stroke: #1e293b; stroke-width: 1; }
+.tl-current { fill: rgba(59, 130, 246, 0.18); }
+.tl-cell rect { stroke: #0f172a; stroke-width: 1; }
+.tl-cell text { fill: #0f172a; font: bold 10px monospace; text-anchor: middle; dominant-baseline: central; pointer-events: none; }
+.tl-cell { cursor: pointer; }
+.tl-IF rect { fill: #60a5fa; }
+.tl-ID rect { fill: #34d399; }
+.tl-EX rect { fill: #fbbf24; }
+.tl-MEM rect { fill: #f472b6; }
+.tl-WB rect { fill: #a78bfa; }
+.tl-cell.stall rect { fill: #f59e0b; fill-opacity: 0.35; stroke: #f59e0b; stroke-dasharray: 3 2; }
+.tl-cell.stall text { fill: #f59e0b; }
+.tl-cell.flush rect { fill: #ef4444; fill-opacity: 0.3; stroke: #ef4444; }
+.tl-cell.flush text { fill: #fca5a5; text-decoration: line-through; }
+.tl-arrow { fill: none; stroke-width: 1.5; }
+.tl-arrow.exex { stroke: #e11d48; }
+.tl-arrow.memex { stroke: #7c3aed; }
+`;
+
+// SVG del diagrama. disassemble(instr, pc) -> texto de cada fila. Cada celda lleva
+// data-cycle para que la interfaz salte a ese ciclo al pulsarla.
+export function timelineToSVG(timeline, disassemble) {
+    const [start, end] = timeline.cycles;
+    const columns = start === null ? 0 : end - start + 1;
+    const width = LABEL_WIDTH + columns * CELL_WIDTH + 10;
+    const height = HEADER_HEIGHT + timeline.rows.length * CELL_HEIGHT + 6;
+    const x = (cycle) => LABEL_WIDTH + (cycle - start) * CELL_WIDTH;
+    const rowIndex = new Map(timeline.rows.map((r, i) => [r.seq, i]));
+    const y = (seq) => HEADER_HEIGHT + rowIndex.get(seq) * CELL_HEIGHT;
+
+    const parts = [];
+    parts.push(`<rect class="tl-bg" width="${width}" height="${height}"/>`);
+    if (timeline.current !== null && timeline.current >= start && timeline.current <= end) {
+        parts.push(`<rect class="tl-current" x="${x(timeline.current)}" y="0" width="${CELL_WIDTH}" height="${height}"/>`);
+    }
+    for (let c = start; c <= end && columns; c++) {
+        parts.push(`<text class="tl-head" x="${x(c) + CELL_WIDTH / 2}" y="${HEADER_HEIGHT - 8}">${c}</text>`);
+        parts.push(`<line class="tl-grid" x1="${x(c)}" y1="${HEADER_HEIGHT}" x2="${x(c)}" y2="${height}"/>`);
+    }
+
+    for (const row of timeline.rows) {
+        const top = y(row.seq);
+        const label = `${row.partial ? "… " : ""}${toHex32(row.pc).slice(-4)}  ${disassemble(row.instr, row.pc)}`;
+        parts.push(`<text class="tl-label${row.flushed ? " flushed" : ""}" x="6" y="${top + CELL_HEIGHT / 2 + 4}">${escapeXml(label)}</text>`);
+        for (const [cycle, { stage, status }] of row.cells) {
+            const name = STAGE_ABBREVIATIONS[stage];
+            parts.push(
+                `<g class="tl-cell tl-${name}${status ? ` ${status}` : ""}" data-cycle="${cycle}">` +
+                `<rect x="${x(cycle) + 1}" y="${top + 1}" width="${CELL_WIDTH - 2}" height="${CELL_HEIGHT - 2}" rx="3"/>` +
+                `<text x="${x(cycle) + CELL_WIDTH / 2}" y="${top + CELL_HEIGHT / 2}">${name}</text></g>`
+            );
+        }
+    }
+
+    // Flechas de forwarding: del final de la celda productora al inicio de la de EX
+    for (const { from, to, kind } of timeline.arrows) {
+        const x1 = x(from.cycle) + CELL_WIDTH - 2;
+        const y1 = y(from.seq) + CELL_HEIGHT / 2;
+        const x2 = x(to.cycle) + 3;
+        const y2 = y(to.seq) + CELL_HEIGHT / 2;
+        parts.push(`<path class="tl-arrow ${kind}" d="M${x1} ${y1} C${x1 + 8} ${y1} ${x2 - 8} ${y2} ${x2} ${y2}" marker-end="url(#tl-head-${kind})"/>`);
+    }
+
+    const marker = (kind, color) =>
+        `<marker id="tl-head-${kind}" markerWidth="6" markerHeight="6" refX="5" refY="3" orient="auto">` +
+        `<path d="M0 0 L6 3 L0 6 z" fill="${color}"/></marker>`;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<style>${TIMELINE_STYLE}</style>` +
+        `<defs>${marker("exex", "#e11d48")}${marker("memex", "#7c3aed")}</defs>` +
+        parts.join("") +
+        `</svg>`;
+}
+
+function escapeXml(text) {
+    return text.replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
@@ -0,0 +1,241 @@
+import { toHex32 } from './utils.js';
+
+// Versión del formato JSON de traza (también lo lee la comparación con referencia)
+export const TRACE_FORMAT = "riscv-sim-trace";
+export const TRACE_VERSION = 1;
+
+// Traza de la ejecución actual a partir del historial del procesador
+// (desde la posición start del historial). Una entrada por instrucción retirada:
+// { cycle, pc, instr, rd, rd_val, mem: { op: "load" | "store", addr, size, value } | null }
+export function collectTrace(cpu, start = 0) {
+    const entries = [];
+    for (let i = Math.max(0, start); i < cpu.historyPos; i++) {
+        const d = cpu.history[i];
+        const r = d.result;
+        if (!r) {
+            // Paso de HALT: sólo ecall/ebreak son instrucciones reales
+            if (d.instr) entries.push({ cycle: d.cycle + 1, pc: d.pc, instr: d.instr, rd: null, rd_val: null, mem: null });
+            continue;
+        }
+
+        let mem = null;
+        if (r.ctrl.wem) {
+            mem = { op: "store", addr: r.mem_addr, size: r.ctrl.mem_size, value: maskBytes(r.rs2_val, r.ctrl.mem_size) };
+        } else if (r.decoded.opcode === 0x03) {
+            mem = { op: "load", addr: r.mem_addr, size: r.ctrl.mem_size, value: r.mem_data >>> 0 };
+        }
+
+        entries.push({
+            cycle: d.cycle + 1,
+            pc: r.pc_before,
+            instr: r.instr >>> 0,
+            rd: r.wb_we ? r.wb_rd : null,
+            rd_val: r.wb_we ? r.wb_val >>> 0 : null,
+            mem,
+        });
+    }
+    return entries;
+}
+
+// disassemble(instr, pc) -> texto, para la columna de ensamblador
+export function traceToCSV(entries, disassemble) {
+    const rows = [["cycle", "pc", "instr", "asm", "rd", "rd_value", "mem_op", "mem_addr", "mem_size", "mem_value"]];
+    for (const e of entries) {
+        rows.push([
+            e.cycle,
+            toHex32(e.pc),
+            toHex32(e.instr),
+            disassemble(e.instr, e.pc),
+            e.rd !== null ? `x${e.rd}` : "",
+            e.rd !== null ? toHex32(e.rd_val) : "",
+            e.mem ? e.mem.op : "",
+            e.mem ? toHex32(e.mem.addr) : "",
+            e.mem ? e.mem.size : "",
+            e.mem ? toHex32(e.mem.value) : "",
+        ]);
+    }
+    return rows.map(row => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+export function traceToJSON(entries, disassemble) {
+    return JSON.stringify({
+        format: TRACE_FORMAT,
+        version: TRACE_VERSION,
+        entries: entries.map(e => ({
+            cycle: e.cycle,
+            pc: toHex32(e.pc),
+            instr: toHex32(e.instr),
+            asm: disassemble(e.instr, e.pc),
+            rd: e.rd,
+            rd_val: e.rd !== null ? toHex32(e.rd_val) : null,
+            mem: e.mem && { ...e.mem, addr: toHex32(e.mem.addr), value: toHex32(e.mem.value) },
+        })),
+    }, null, 2);
+}
+
+// Formato de Spike con --log-commits (modo máquina, núcleo 0):
+// core   0: 3 0x00400000 (0x00500293) x5  0x00000005
+// core   0: 3 0x00400008 (0x0062a023) mem 0x10010000 0x00000005
+// Las escrituras a x0 no se registran; en una carga va la dirección tras el registro.
+export function traceToSpikeLog(entries) {
+    const lines = entries.map(e => {
+        let line = `core   0: 3 ${toHex32(e.pc)} (${toHex32(e.instr)})`;
+        if (e.rd !== null && e.rd !== 0) line += ` x${String(e.rd).padEnd(2)} ${toHex32(e.rd_val)}`;
+        if (e.mem?.op === "load") line += ` mem ${toHex32(e.mem.addr)}`;
+        if (e.mem?.op === "store") line += ` mem ${toHex32(e.mem.addr)} ${hexBytes(e.mem.value, e.mem.size)}`;
+        return line;
+    });
+    return lines.join("\n") + "\n";
+}
+
+function maskBytes(value, size) {
+    return size === 4 ? value >>> 0 : (value & ((1 << (size * 8)) - 1)) >>> 0;
+}
+
+// Valor con tantos dígitos como bytes tenga el acceso (0x05, 0x0005, 0x00000005)
+function hexBytes(value, size) {
+    return "0x" + (value >>> 0).toString(16).padStart(size * 2, "0");
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/* ---------- Traza de referencia y comparación ---------- */
+
+// Lee una traza de referencia: JSON de este simulador, log de Spike (--log-commits)
+// o de Sail. Devuelve entradas { pc, instr, rd, rd_val, mem } con valores de 32 bits.
+export function parseReferenceTrace(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith("{")) return parseJsonTrace(trimmed);
+
+    const entries = [];
+    let current = null;
+    for (const raw of trimmed.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line) continue;
+
+        // Spike: core   0: 3 0x00400000 (0x00500293) x5  0x00000005 mem 0x... 0x...
+        let m = line.match(/^core\s+\d+:\s+(?:\d+\s+)?0x([0-9a-f]+)\s+\(0x([0-9a-f]+)\)(.*)$/i);
+        if (m) {
+            current = newEntry(m[1], m[2]);
+            entries.push(current);
+            const rest = m[3];
+            const reg = rest.match(/(?:^|\s)x(\d+)\s+0x([0-9a-f]+)/i);
+            if (reg) setRegWrite(current, Number(reg[1]), reg[2]);
+            const mem = rest.match(/\bmem\s+0x([0-9a-f]+)(?:\s+0x([0-9a-f]+))?/i);
+            if (mem) {
+                current.mem = mem[2] !== undefined
+                    ? { op: "store", addr: low32(mem[1]), size: Math.min(4, Math.ceil(mem[2].length / 2)), value: low32(mem[2]) }
+                    : { op: "load", addr: low32(mem[1]) };
+            }
+            continue;
+        }
+
+        // Sail: [12] [M]: 0x00400000 (0x00500293) addi t0, zero, 5
+        m = line.match(/^\[\d+\]\s+\[\w+\]:\s+0x([0-9a-f]+)\s+\(0x([0-9a-f]+)\)/i);
+        if (m) {
+            current = newEntry(m[1], m[2]);
+            entries.push(current);
+            continue;
+        }
+        if (!current) continue;
+
+        // Sail: efectos de la instrucción anterior (x5 <- 0x..., mem[0x...] <- 0x...)
+        m = line.match(/^x(\d+)\s+<-\s+0x([0-9a-f]+)/i);
+        if (m) {
+            setRegWrite(current, Number(m[1]), m[2]);
+            continue;
+        }
+        m = line.match(/^mem\[(?:\w+,)?0x([0-9a-f]+)\]\s+<-\s+0x([0-9a-f]+)/i);
+        if (m) current.mem = { op: "store", addr: low32(m[1]), size: Math.min(4, Math.ceil(m[2].length / 2)), value: low32(m[2]) };
+    }
+
+    if (!entries.length) throw new Error("La traza de referencia no contiene instrucciones reconocibles");
+    return entries;
+}
+
+function parseJsonTrace(text) {
+    const json = JSON.parse(text);
+    if (json.format !== TRACE_FORMAT || !Array.isArray(json.entries)) {
+        throw new Error(`Formato de traza JSON no reconocido (se esperaba "${TRACE_FORMAT}")`);
+    }
+    if (json.version > TRACE_VERSION) {
+        throw new Error(`Versión de traza ${json.version} no soportada (máximo ${TRACE_VERSION})`);
+    }
+    return json.entries.map(e => {
+        const entry = newEntry(String(e.pc), String(e.instr));
+        if (e.rd !== null && e.rd !== undefined) setRegWrite(entry, e.rd, String(e.rd_val));
+        if (e.mem) {
+            entry.mem = { op: e.mem.op, addr: low32(String(e.mem.addr)), size: e.mem.size, value: low32(String(e.mem.value)) };
+        }
+        return entry;
+    });
+}
+
+function newEntry(pcHex, instrHex) {
+    return { pc: low32(pcHex), instr: low32(instrHex), rd: null, rd_val: null, mem: null };
+}
+
+// Las escrituras a x0 no cuentan (Spike no las registra)
+function setRegWrite(entry, rd, valueHex) {
+    if (rd === 0) return;
+    entry.rd = rd;
+    entry.rd_val = low32(valueHex);
+}
+
+// Los simuladores de 64 bits registran valores de 16 dígitos: se comparan los 32 bits bajos
+function low32(hex) {
+    const digits = hex.replace(/^0x/i, "");
+    return parseInt(digits.slice(-8), 16) >>> 0;
+}
+
+// Compara la traza propia con la de referencia y devuelve la primera divergencia.
+// La referencia se sincroniza con su primera entrada en entryPc, el inicio del
+// programa (Spike ejecuta antes su bootrom); offset es el número de instrucciones
+// retiradas antes de la primera entrada de actual. Se compara por orden de retiro,
+// no por ciclo, así que vale para modelos con CPI distinto de 1. Resultado:
+// { compared, divergence: { cycle, pc, field: "pc" | "rd" | "mem", expected, actual } | null,
+//   referenceEnded }
+export function compareTrace(actual, reference, { entryPc = actual[0]?.pc, offset = 0 } = {}) {
+    const result = { compared: 0, divergence: null, referenceEnded: false };
+    if (!actual.length) return result;
+
+    // La entrada sincronizada de la referencia es la primera instrucción retirada
+    const sync = reference.findIndex(e => e.pc === entryPc);
+    const base = (sync < 0 ? 0 : sync) + offset;
+
+    for (const [i, a] of actual.entries()) {
+        const e = reference[base + i];
+        if (!e) {
+            result.referenceEnded = true;
+            break;
+        }
+        const diff = entryDiff(a, e);
+        if (diff) {
+            result.divergence = { cycle: a.cycle, pc: a.pc, ...diff };
+            break;
+        }
+        result.compared++;
+    }
+    return result;
+}
+
+function entryDiff(a, e) {
+    if (a.pc !== e.pc) return { field: "pc", expected: toHex32(e.pc), actual: toHex32(a.pc) };
+
+    const aReg = a.rd ? `x${a.rd} = ${toHex32(a.rd_val)}` : "sin escritura";
+    const eReg = e.rd ? `x${e.rd} = ${toHex32(e.rd_val)}` : "sin escritura";
+    if (aReg !== eReg) return { field: "rd", expected: eReg, actual: aReg };
+
+    const aStore = a.mem?.op === "store" ? a.mem : null;
+    const eStore = e.mem?.op === "store" ? e.mem : null;
+    const describe = (m) => m ? `M[${toHex32(m.addr)}] = ${hexBytes(m.value, m.size || 4)}` : "sin escritura";
+    const sameStore = (!aStore && !eStore) || (aStore && eStore &&
+        aStore.addr === eStore.addr &&
+        maskBytes(aStore.value, aStore.size) === maskBytes(eStore.value, aStore.size));
+    if (!sameStore) return { field: "mem", expected: describe(eStore), actual: describe(aStore) };
+
+    return null;
+}